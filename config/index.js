@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+
+/**
+ * Time ranges from most to least recent.
+ * - key: internal name used in the index and snapshots
+ * - param: value accepted by the API's ?range= parameter
+ * - files: upstream CSV file names holding this range
+ * - scoreWeight: weight in the recency-weighted score
+ * - recencyWeight: weight of last_seen in study plan priority
+ * - trend: whether the range counts as "recent" or "baseline" for trends
+ */
+const DEFAULT_RANGES = [
+  {
+    key: '30-days',
+    param: '30',
+    files: ['1. Thirty Days.csv', 'Thirty Days.csv'],
+    scoreWeight: 1,
+    recencyWeight: 1,
+    trend: 'recent'
+  },
+  {
+    key: '60-days',
+    param: '60',
+    files: [],
+    scoreWeight: 0.8,
+    recencyWeight: 0.85,
+    trend: 'recent'
+  },
+  {
+    key: '90-days',
+    param: '90',
+    files: ['2. Three Months.csv', 'Three Months.csv'],
+    scoreWeight: 0.6,
+    recencyWeight: 0.7,
+    trend: 'recent'
+  },
+  {
+    key: '180-days',
+    param: '180',
+    files: ['3. Six Months.csv', 'Six Months.csv'],
+    scoreWeight: 0.4,
+    recencyWeight: 0.45,
+    trend: 'baseline'
+  },
+  {
+    key: 'all-time',
+    param: 'all',
+    files: ['4. More Than Six Months.csv', '5. All.csv', 'More Than Six Months.csv', 'All.csv'],
+    scoreWeight: 0.2,
+    recencyWeight: 0.2,
+    trend: 'baseline'
+  }
+];
+
+const SOURCE_TYPES = ['github', 'github-api', 'local-dir', 'local-zip', 'local-dump'];
+const LOCAL_SOURCE_TYPES = ['local-dir', 'local-zip', 'local-dump'];
+const MERGE_POLICIES = ['max', 'latest', 'priority'];
+
+/**
+ * Every setting, with the environment variable that overrides it, its type
+ * and default. Settings without `env` can only be set in the config file.
+ */
+const SCHEMA = {
+  server: {
+    port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+    trustProxy: { env: 'TRUST_PROXY', type: 'string', default: null },
+    nodeEnv: { env: 'NODE_ENV', type: 'string', default: null },
+    // How long shutdown waits for open requests and a running refresh
+    shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 10000, min: 0 }
+  },
+  logging: {
+    level: { env: 'LOG_LEVEL', type: 'enum', values: ['ERROR', 'WARN', 'INFO', 'DEBUG'], default: 'INFO', upperCase: true },
+    format: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'text'], default: 'json' }
+  },
+  source: {
+    type: { env: 'DATA_SOURCE', type: 'enum', values: SOURCE_TYPES, default: 'github' },
+    path: { env: 'DATA_SOURCE_PATH', type: 'string', default: null },
+    github: {
+      owner: { env: 'GITHUB_OWNER', type: 'string', default: 'liquidslr' },
+      repo: { env: 'GITHUB_REPO', type: 'string', default: 'leetcode-company-wise-problems' },
+      branch: { env: 'GITHUB_BRANCH', type: 'string', default: 'main' },
+      token: { env: 'GITHUB_TOKEN', type: 'string', default: null },
+      // Base URLs, overridable to point the fetcher at a mirror or a fake server
+      apiUrl: { env: 'GITHUB_API_URL', type: 'url', default: 'https://api.github.com' },
+      downloadUrl: { env: 'GITHUB_DOWNLOAD_URL', type: 'url', default: 'https://github.com' },
+      rawUrl: { env: 'GITHUB_RAW_URL', type: 'url', default: 'https://raw.githubusercontent.com' },
+      concurrency: { env: 'GITHUB_CONCURRENCY', type: 'integer', default: 8, min: 1, max: 64 },
+      retries: { env: 'GITHUB_RETRIES', type: 'integer', default: 3, min: 0, max: 10 },
+      retryDelayMs: { env: 'GITHUB_RETRY_DELAY_MS', type: 'integer', default: 1000, min: 0 }
+    }
+  },
+  // Several named sources to merge, e.g.
+  // [{ "name": "liquidslr", "type": "github", "priority": 1 },
+  //  { "name": "team", "type": "local-dir", "path": "/srv/team-csvs" }]
+  // Entries may override owner/repo/branch for GitHub forks. When empty,
+  // the single `source` above is used.
+  sources: { type: 'sources', default: [] },
+  merge: {
+    // How to combine one company's range when several sources have it:
+    // max frequency per problem, the most recently updated source, or the
+    // highest-priority source
+    policy: { env: 'MERGE_POLICY', type: 'enum', values: MERGE_POLICIES, default: 'max' }
+  },
+  schedule: {
+    refreshCron: { env: 'REFRESH_CRON', type: 'cron', default: '0 2 * * *' }
+  },
+  ranges: { type: 'ranges', default: DEFAULT_RANGES },
+  snapshots: {
+    keep: { env: 'SNAPSHOT_KEEP', type: 'integer', default: 5, min: 1 }
+  },
+  changes: {
+    historySize: { env: 'CHANGE_HISTORY_SIZE', type: 'integer', default: 30, min: 1 }
+  },
+  cache: {
+    maxAge: { env: 'CACHE_MAX_AGE', type: 'integer', default: 300, min: 0 },
+    maxEntries: { env: 'RESPONSE_CACHE_SIZE', type: 'integer', default: 1000, min: 1 }
+  },
+  aliases: {
+    companiesPath: { env: 'COMPANY_ALIASES_PATH', type: 'string', default: path.join(__dirname, 'companyAliases.json') },
+    slugsPath: { env: 'SLUG_ALIASES_PATH', type: 'string', default: path.join(__dirname, 'slugAliases.json') }
+  },
+  admin: {
+    token: { env: 'ADMIN_TOKEN', type: 'string', default: null }
+  },
+  refresh: {
+    jobHistory: { env: 'REFRESH_JOB_HISTORY', type: 'integer', default: 20, min: 1 }
+  },
+  health: {
+    // Data not refreshed for this long makes readiness report "stale"
+    staleAfterHours: { env: 'HEALTH_STALE_AFTER_HOURS', type: 'number', default: 36, min: 0 },
+    // This many failed refreshes in a row makes readiness report "degraded"
+    failureThreshold: { env: 'HEALTH_FAILURE_THRESHOLD', type: 'integer', default: 3, min: 1 },
+    // Refresh attempts listed in health responses
+    historySize: { env: 'HEALTH_REFRESH_HISTORY', type: 'integer', default: 10, min: 1 }
+  },
+  validation: {
+    maxProblemDropRatio: { env: 'DATASET_MAX_PROBLEM_DROP', type: 'number', default: 0.2, min: 0, max: 1 },
+    maxCompanyDropRatio: { env: 'DATASET_MAX_COMPANY_DROP', type: 'number', default: 0.2, min: 0, max: 1 },
+    requiredRanges: { env: 'DATASET_REQUIRED_RANGES', type: 'list', default: ['all-time'] },
+    maxMissingRangeRatio: { env: 'DATASET_MAX_MISSING_RANGE', type: 'number', default: 0.1, min: 0, max: 1 },
+    maxFileErrorRatio: { env: 'DATASET_MAX_FILE_ERRORS', type: 'number', default: 0.1, min: 0, max: 1 },
+    maxRowErrorRatio: { env: 'DATASET_MAX_ROW_ERRORS', type: 'number', default: 0.05, min: 0, max: 1 }
+  },
+  graphql: {
+    maxDepth: { env: 'GRAPHQL_MAX_DEPTH', type: 'integer', default: 8, min: 1 },
+    maxComplexity: { env: 'GRAPHQL_MAX_COMPLEXITY', type: 'integer', default: 5000, min: 1 }
+  },
+  rateLimit: {
+    extensionKeys: { env: 'EXTENSION_KEYS', type: 'list', default: [] }
+  }
+};
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'settings.json');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isSetting(node) {
+  return typeof node.type === 'string';
+}
+
+/**
+ * Application settings, resolved once at startup from defaults, an optional
+ * JSON file (CONFIG_FILE, or config/settings.json if present) and the
+ * environment, in increasing order of precedence.
+ */
+class Config {
+  constructor() {
+    this.load();
+  }
+
+  /**
+   * (Re)load settings. Throws a ConfigError listing every invalid setting.
+   */
+  load({ env = process.env } = {}) {
+    const problems = [];
+    const file = this.readFile(env.CONFIG_FILE, problems);
+    const settings = this.resolve(SCHEMA, file, env, [], problems);
+
+    if (problems.length === 0) {
+      this.checkConsistency(settings, problems);
+    }
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+
+    for (const key of Object.keys(SCHEMA)) {
+      this[key] = settings[key];
+    }
+    return this;
+  }
+
+  readFile(filePath, problems) {
+    const resolved = filePath || DEFAULT_CONFIG_FILE;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+        problems.push(`${resolved}: must contain a JSON object`);
+        return {};
+      }
+      return content;
+    } catch (error) {
+      // Only a missing default file is fine; an explicit CONFIG_FILE must exist
+      if (error.code !== 'ENOENT' || filePath) {
+        problems.push(`${resolved}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  resolve(schema, file, env, keyPath, problems) {
+    const result = {};
+
+    for (const key of Object.keys(file)) {
+      if (!(key in schema)) {
+        problems.push(`${[...keyPath, key].join('.')}: unknown setting`);
+      }
+    }
+
+    for (const [key, node] of Object.entries(schema)) {
+      const name = [...keyPath, key].join('.');
+      const fileValue = file[key];
+
+      if (!isSetting(node)) {
+        if (fileValue !== undefined && (fileValue === null || typeof fileValue !== 'object' || Array.isArray(fileValue))) {
+          problems.push(`${name}: must be an object`);
+        }
+        const section = fileValue && typeof fileValue === 'object' && !Array.isArray(fileValue) ? fileValue : {};
+        result[key] = this.resolve(node, section, env, [...keyPath, key], problems);
+        continue;
+      }
+
+      let value = node.default;
+      let origin = name;
+
+      if (node.env && env[node.env] !== undefined && env[node.env] !== '') {
+        value = this.parseEnv(node, env[node.env]);
+        origin = `${node.env} (${name})`;
+      } else if (fileValue !== undefined) {
+        value = fileValue;
+      }
+
+      if (value === null || value === undefined) {
+        result[key] = null;
+        continue;
+      }
+
+      const problem = this.check(node, value);
+      if (problem) {
+        problems.push(`${origin}: ${problem}`);
+      } else {
+        result[key] = this.normalize(node, value);
+      }
+    }
+
+    return result;
+  }
+
+  normalize(node, value) {
+    if (node.upperCase) {
+      return value.toUpperCase();
+    }
+    if (node.type === 'url') {
+      return value.replace(/\/+$/, '');
+    }
+    return value;
+  }
+
+  /**
+   * Environment values are strings; turn them into the setting's type
+   * (values that don't parse are left for `check` to report)
+   */
+  parseEnv(node, raw) {
+    const text = raw.trim();
+
+    switch (node.type) {
+      case 'integer':
+        return /^-?\d+$/.test(text) ? parseInt(text, 10) : text;
+      case 'number':
+        return text !== '' && isFinite(Number(text)) ? Number(text) : text;
+      case 'list':
+        return text.split(',').map(item => item.trim()).filter(item => item.length > 0);
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Returns a description of what is wrong with `value`, or null
+   */
+  check(node, value) {
+    switch (node.type) {
+      case 'integer':
+      case 'number':
+        if (typeof value !== 'number' || !isFinite(value) || (node.type === 'integer' && !Number.isInteger(value))) {
+          return `must be ${node.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}`;
+        }
+        if (node.min !== undefined && value < node.min) {
+          return `must be at least ${node.min}, got ${value}`;
+        }
+        if (node.max !== undefined && value > node.max) {
+          return `must be at most ${node.max}, got ${value}`;
+        }
+        return null;
+      case 'string':
+        return typeof value === 'string' ? null : `must be a string, got ${JSON.stringify(value)}`;
+      case 'enum': {
+        const normalized = typeof value === 'string' && node.upperCase ? value.toUpperCase() : value;
+        return node.values.includes(normalized) ? null : `must be one of: ${node.values.join(', ')}, got ${JSON.stringify(value)}`;
+      }
+      case 'list':
+        return Array.isArray(value) && value.every(item => typeof item === 'string')
+          ? null
+          : 'must be a list of strings';
+      case 'url':
+        return typeof value === 'string' && /^https?:\/\/[^\s]+$/.test(value)
+          ? null
+          : `must be an http(s) URL, got ${JSON.stringify(value)}`;
+      case 'cron':
+        return typeof value === 'string' && cron.validate(value) ? null : `must be a cron expression, got ${JSON.stringify(value)}`;
+      case 'ranges':
+        return this.checkRanges(value);
+      case 'sources':
+        return this.checkSources(value);
+      default:
+        return `unsupported setting type "${node.type}"`;
+    }
+  }
+
+  checkSources(sources) {
+    if (!Array.isArray(sources)) {
+      return 'must be a list of sources';
+    }
+
+    const names = new Set();
+    for (const [index, source] of sources.entries()) {
+      const where = `source ${index + 1}`;
+
+      if (source === null || typeof source !== 'object') {
+        return `${where} must be an object`;
+      }
+      if (typeof source.name !== 'string' || !/^[\w.-]+$/.test(source.name)) {
+        return `${where} needs a "name" of letters, digits, ".", "_" or "-"`;
+      }
+      if (names.has(source.name)) {
+        return `${where} repeats name "${source.name}"`;
+      }
+      names.add(source.name);
+
+      if (!SOURCE_TYPES.includes(source.type)) {
+        return `${where} "type" must be one of: ${SOURCE_TYPES.join(', ')}`;
+      }
+      if (LOCAL_SOURCE_TYPES.includes(source.type) && typeof source.path !== 'string') {
+        return `${where} needs a "path" for type "${source.type}"`;
+      }
+      for (const field of ['owner', 'repo', 'branch']) {
+        if (source[field] !== undefined && typeof source[field] !== 'string') {
+          return `${where} "${field}" must be a string`;
+        }
+      }
+      if (source.priority !== undefined && (typeof source.priority !== 'number' || !isFinite(source.priority))) {
+        return `${where} "priority" must be a number`;
+      }
+    }
+
+    return null;
+  }
+
+  checkRanges(ranges) {
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+      return 'must be a non-empty list of time ranges';
+    }
+
+    const seen = new Set();
+    for (const [index, range] of ranges.entries()) {
+      const where = `range ${index + 1}`;
+
+      if (range === null || typeof range !== 'object') {
+        return `${where} must be an object`;
+      }
+      for (const field of ['key', 'param']) {
+        if (typeof range[field] !== 'string' || range[field].length === 0) {
+          return `${where} needs a "${field}" string`;
+        }
+        if (seen.has(`${field}:${range[field]}`)) {
+          return `${where} repeats ${field} "${range[field]}"`;
+        }
+        seen.add(`${field}:${range[field]}`);
+      }
+      if (!Array.isArray(range.files) || !range.files.every(file => typeof file === 'string')) {
+        return `${where} needs a "files" list of CSV file names`;
+      }
+      for (const field of ['scoreWeight', 'recencyWeight']) {
+        if (typeof range[field] !== 'number' || range[field] < 0) {
+          return `${where} needs a non-negative "${field}"`;
+        }
+      }
+      if (!['recent', 'baseline'].includes(range.trend)) {
+        return `${where} "trend" must be "recent" or "baseline"`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Rules that span several settings
+   */
+  checkConsistency(settings, problems) {
+    const rangeKeys = settings.ranges.map(range => range.key);
+    const files = new Set();
+
+    for (const range of settings.ranges) {
+      for (const file of range.files) {
+        if (files.has(file)) {
+          problems.push(`ranges: file "${file}" is mapped to more than one range`);
+        }
+        files.add(file);
+      }
+    }
+
+    for (const range of settings.validation.requiredRanges) {
+      if (!rangeKeys.includes(range)) {
+        problems.push(`validation.requiredRanges: unknown range "${range}". Must be one of: ${rangeKeys.join(', ')}`);
+      }
+    }
+
+    const { type, path: sourcePath } = settings.source;
+    if (settings.sources.length === 0 && LOCAL_SOURCE_TYPES.includes(type) && !sourcePath) {
+      problems.push(`source.path: required when source.type is "${type}" (set DATA_SOURCE_PATH)`);
+    }
+  }
+}
+
+module.exports = new Config();
+module.exports.ConfigError = ConfigError;
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
+module.exports.MERGE_POLICIES = MERGE_POLICIES;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Compare two secrets in constant time, whatever their lengths
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Whether the request carries the admin token, accepted as
+ * "Authorization: Bearer <token>" or an "X-Admin-Token" header. Always
+ * false when no token is configured.
+ */
+function isAdmin(req) {
+  const expected = config.admin.token;
+  if (!expected) {
+    return false;
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.get('X-Admin-Token');
+
+  return Boolean(token) && safeEqual(token, expected);
+}
+
+/**
+ * Only let requests carrying the admin token through.
+ *
+ * The token is read from config (ADMIN_TOKEN); see isAdmin. With no
+ * token configured, admin endpoints are disabled entirely.
+ */
+function requireAdmin(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Admin endpoints are disabled (ADMIN_TOKEN is not configured)'
+    });
+  }
+
+  if (!isAdmin(req)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  isAdmin,
+  requireAdmin
+};
@@ -0,0 +1,132 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Fixed-window counters kept in process memory.
+ *
+ * Any store with the same two async methods can be swapped in (e.g. one
+ * backed by Redis so several instances share limits):
+ * - increment(key, windowMs) -> { count, resetAt }
+ * - reset(key)
+ */
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60000 } = {}) {
+    this.buckets = new Map(); // key -> { count, resetAt }
+
+    // Drop expired buckets so one-off clients don't pile up
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count++;
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+const defaultStore = new MemoryStore();
+
+// Requests per window for each route group. Clients are limited per IP;
+// each known extension key gets one larger bucket shared by everyone
+// sending it.
+const ROUTE_GROUPS = {
+  api: { windowMs: 60 * 1000, max: 120, extensionMax: 600 },
+  search: { windowMs: 60 * 1000, max: 60, extensionMax: 300 },
+  batch: { windowMs: 60 * 1000, max: 20, extensionMax: 60 },
+  admin: { windowMs: 60 * 1000, max: 5, extensionMax: 5 }
+};
+
+const extensionKeys = new Set(config.rateLimit.extensionKeys);
+
+/**
+ * Which bucket a request counts against: its extension key if it sends a
+ * known one, otherwise its IP. A key's limit is its total budget, however
+ * many IPs its requests come from.
+ */
+function identify(req) {
+  const extensionKey = req.get('X-Extension-Key');
+
+  if (extensionKey && extensionKeys.has(extensionKey)) {
+    return { key: `ext:${extensionKey}`, isExtension: true };
+  }
+
+  return { key: `ip:${req.ip}`, isExtension: false };
+}
+
+/**
+ * Rate-limit middleware for one route group. Sends the draft standard
+ * RateLimit-* headers and Retry-After on 429s. If the store fails the
+ * request is let through rather than taking the API down with it.
+ */
+function createRateLimiter(name, { windowMs, max, extensionMax = max, store = defaultStore } = ROUTE_GROUPS[name]) {
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    const { key, isExtension } = identify(req);
+    const limit = isExtension ? extensionMax : max;
+
+    let counter;
+    try {
+      counter = await store.increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      logger.error(`Rate limit store failed for ${name}:`, error);
+      return next();
+    }
+
+    const remaining = Math.max(0, limit - counter.count);
+    const resetSeconds = Math.max(0, Math.ceil((counter.resetAt - Date.now()) / 1000));
+
+    // When several groups apply, report whichever is closest to its limit
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || remaining < parseInt(reported)) {
+      res.set('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+    }
+
+    if (counter.count > limit) {
+      logger.warn(`Rate limit exceeded for ${key} on ${name}`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded. Try again in ${resetSeconds} seconds`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  ROUTE_GROUPS,
+  createRateLimiter,
+  rateLimits: {
+    api: createRateLimiter('api'),
+    search: createRateLimiter('search'),
+    batch: createRateLimiter('batch'),
+    admin: createRateLimiter('admin')
+  }
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const Metrics = require('../services/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * Tag each request with an ID (reusing a valid incoming X-Request-Id),
+ * give handlers a request-scoped logger as `req.log`, and log and measure
+ * every response once it finishes.
+ */
+function requestContext(req, res, next) {
+  const startTime = process.hrtime.bigint();
+  const incomingId = req.get('X-Request-Id');
+
+  req.id = incomingId && /^[\w-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+    // Label by route pattern, not raw path, to keep metric cardinality bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    Metrics.observeRequest({
+      method: req.method,
+      route: route,
+      status: res.statusCode,
+      durationMs: durationMs
+    });
+
+    req.log.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 100) / 100
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  requestContext
+};
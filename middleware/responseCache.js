@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const DataService = require('../services/dataService');
+const config = require('../config');
+
+const DEFAULT_MAX_AGE = config.cache.maxAge; // seconds
+const MAX_ENTRIES = config.cache.maxEntries;
+
+/**
+ * Small LRU of serialized JSON responses, keyed by request URL
+ */
+class ResponseCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+const cache = new ResponseCache(MAX_ENTRIES);
+
+// Every cached response belongs to one dataset version
+DataService.on('updated', () => cache.clear());
+
+/**
+ * Weak ETag for a URL at a given data version
+ */
+function computeETag(dataVersion, url) {
+  const hash = crypto.createHash('sha1').update(`${dataVersion} ${url}`).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+function matchesETag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+/**
+ * Cache GET responses for the current dataset version.
+ *
+ * Responses carry an ETag derived from DataService.lastUpdated and the
+ * request URL; matching If-None-Match requests get a 304 without touching
+ * the handler, and repeat requests are served from an in-process cache
+ * that is emptied whenever a refresh completes.
+ *
+ * `onHit(req)` is called whenever a 304 or cached body answers instead of
+ * the handler, for handlers that record metrics. Only 200s are cached or
+ * carry an ETag, so a hit always stands for a successful response.
+ */
+function cacheResponse({ maxAge = DEFAULT_MAX_AGE, onHit = null } = {}) {
+  return (req, res, next) => {
+    const { lastUpdated } = DataService.getStatus();
+
+    // Nothing loaded yet, nothing worth caching
+    if (!lastUpdated) {
+      return next();
+    }
+
+    const key = req.originalUrl;
+    const etag = computeETag(lastUpdated, key);
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${maxAge}`);
+
+    if (matchesETag(req.get('If-None-Match'), etag)) {
+      if (onHit) onHit(req);
+      return res.status(304).end();
+    }
+
+    const cached = cache.get(key);
+    if (cached && cached.etag === etag) {
+      if (onHit) onHit(req);
+      res.set('X-Cache', 'HIT');
+      return res.type('json').send(cached.body);
+    }
+
+    res.set('X-Cache', 'MISS');
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode === 200) {
+        cache.set(key, { etag, body: JSON.stringify(body) });
+      } else {
+        // Errors are cheap and shouldn't stick in browser caches
+        res.removeHeader('ETag');
+        res.set('Cache-Control', 'no-cache');
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  cacheResponse,
+  responseCache: cache
+};
@@ -0,0 +1,48 @@
+const express = require('express');
+const DataService = require('../services/dataService');
+const ChangeTracker = require('../services/changeTracker');
+const { cacheResponse } = require('../middleware/responseCache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/changes
+ * What changed in the dataset since a given data version
+ *
+ * Query params:
+ * - since: dataVersion the client last saw (e.g., "2024-01-01T02:00:00.000Z");
+ *   omit to get every retained change
+ * - company: only report changes for this company (e.g., "Amazon")
+ */
+router.get('/changes', cacheResponse(), (req, res) => {
+  try {
+    const { since, company } = req.query;
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '"since" must be a dataVersion timestamp'
+      });
+    }
+
+    const { complete, entries } = ChangeTracker.getChangesSince(since, { company });
+
+    res.json({
+      since: since || null,
+      company: company || null,
+      currentVersion: DataService.getStatus().lastUpdated,
+      complete: complete,
+      count: entries.length,
+      entries: entries
+    });
+  } catch (error) {
+    logger.error('Error in /changes endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process request'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const DataService = require('../services/dataService');
+const TimeRanges = require('../services/timeRanges');
+const { cacheResponse } = require('../middleware/responseCache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const MAX_PLAN_WEEKS = 26;
+const MAX_PLAN_PER_DAY = 10;
+const MAX_OVERLAP_COMPANIES = 10;
+
+/**
+ * GET /api/company/:name
+ * List every problem a company asks, ranked and paginated
+ *
+ * Query params:
+ * - range: time range filter (default ranges: 30, 60, 90, 180, all)
+ * - sort: frequency (default), score, recent, title
+ * - page: page number, starting at 1 (default: 1)
+ * - limit: problems per page (default: 50, max: 100)
+ */
+router.get('/company/:name', cacheResponse(), (req, res) => {
+  try {
+    const { name } = req.params;
+    const { range, sort = 'frequency', page, limit } = req.query;
+
+    // Validate range if provided
+    if (range && !TimeRanges.isValidParam(range)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: TimeRanges.invalidParamMessage()
+      });
+    }
+
+    if (!['frequency', 'score', 'recent', 'title'].includes(sort)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid sort. Must be one of: frequency, score, recent, title'
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const result = DataService.queryByCompany(name, {
+      range,
+      sort,
+      page: pageNumber,
+      limit: pageSize
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Company "${name}" not found in database`
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error in /company endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process request'
+    });
+  }
+});
+
+/**
+ * GET /api/company/:name/plan
+ * Generate an ordered study plan from a company's problems
+ *
+ * Query params:
+ * - weeks: number of weeks to plan (default: 4, max: 26)
+ * - perDay: problems per day (default: 3, max: 10)
+ * - seed: any string; the same seed and data version always give the same plan
+ */
+router.get('/company/:name/plan', cacheResponse(), (req, res) => {
+  try {
+    const { name } = req.params;
+    const { seed = 'default' } = req.query;
+    const weeks = req.query.weeks === undefined ? 4 : parseInt(req.query.weeks);
+    const perDay = req.query.perDay === undefined ? 3 : parseInt(req.query.perDay);
+
+    if (isNaN(weeks) || weeks < 1 || weeks > MAX_PLAN_WEEKS) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid weeks. Must be between 1 and ${MAX_PLAN_WEEKS}`
+      });
+    }
+
+    if (isNaN(perDay) || perDay < 1 || perDay > MAX_PLAN_PER_DAY) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid perDay. Must be between 1 and ${MAX_PLAN_PER_DAY}`
+      });
+    }
+
+    const plan = DataService.generateStudyPlan(name, { weeks, perDay, seed: String(seed) });
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Company "${name}" not found in database`
+      });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    logger.error('Error in /company/:name/plan endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate study plan'
+    });
+  }
+});
+
+/**
+ * GET /api/companies
+ * List every company with its problem count and available time ranges
+ *
+ * Query params:
+ * - sort: name (default) or problems
+ */
+router.get('/companies', cacheResponse(), (req, res) => {
+  try {
+    const { sort = 'name' } = req.query;
+
+    if (!['name', 'problems'].includes(sort)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid sort. Must be one of: name, problems'
+      });
+    }
+
+    const companies = DataService.listCompanies({ sort });
+
+    res.json({
+      count: companies.length,
+      companies: companies
+    });
+  } catch (error) {
+    logger.error('Error in /companies endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list companies'
+    });
+  }
+});
+
+/**
+ * GET /api/overlap
+ * Problems shared by several companies
+ *
+ * Query params:
+ * - companies: comma-separated company names (2 to 10 different companies,
+ *   aliases count as the same company, e.g., "google,amazon,meta")
+ * - mode: all (asked by every company, default) or any
+ * - range: time range filter (default ranges: 30, 60, 90, 180, all)
+ * - limit: results per page (default: 50, max: 100)
+ * - offset: number of results to skip (default: 0)
+ */
+router.get('/overlap', cacheResponse(), (req, res) => {
+  try {
+    const { companies, mode = 'all', range, limit, offset } = req.query;
+
+    const names = (companies || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+
+    if (names.length < 2 || names.length > MAX_OVERLAP_COMPANIES) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `"companies" must list between 2 and ${MAX_OVERLAP_COMPANIES} comma-separated company names`
+      });
+    }
+
+    if (!['all', 'any'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid mode. Must be one of: all, any'
+      });
+    }
+
+    // Validate range if provided
+    if (range && !TimeRanges.isValidParam(range)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: TimeRanges.invalidParamMessage()
+      });
+    }
+
+    const result = DataService.queryOverlap(names, {
+      mode,
+      range,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    if (result.unknownCompanies) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown companies: ${result.unknownCompanies.join(', ')}`
+      });
+    }
+
+    if (result.tooFewCompanies) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `"companies" must name at least 2 different companies, got only ${result.tooFewCompanies.join(', ')}`
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error in /overlap endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process request'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+const DataService = require('../services/dataService');
+const DatasetExporter = require('../services/datasetExporter');
+const TimeRanges = require('../services/timeRanges');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/export
+ * Download the dataset, or one company's list, streamed as it is written
+ *
+ * Query params:
+ * - format: csv, json, ndjson or md (default: csv; ndjson for dumps)
+ * - company: only this company's problems (name or alias)
+ * - range: time range filter (default ranges: 30, 60, 90, 180, all)
+ * - dump: "true" for a full NDJSON dump that another instance can load
+ *   with the local-dump data source; takes no company or range
+ */
+router.get('/export', (req, res) => {
+  try {
+    const { company, range } = req.query;
+    const dump = req.query.dump === 'true';
+    const format = req.query.format || (dump ? 'ndjson' : 'csv');
+
+    if (!DatasetExporter.isValidFormat(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid format. Must be one of: ${DatasetExporter.formats.join(', ')}`
+      });
+    }
+
+    if (dump && (format !== 'ndjson' || company || range)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'A dump is always the whole dataset as ndjson; drop format, company and range'
+      });
+    }
+
+    if (range && !TimeRanges.isValidParam(range)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: TimeRanges.invalidParamMessage()
+      });
+    }
+
+    let companyData = null;
+    if (company) {
+      companyData = DataService.getCompany(company);
+      if (!companyData) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Company "${company}" not found in database`
+        });
+      }
+    }
+
+    const chunks = dump
+      ? DatasetExporter.dump()
+      : DatasetExporter.export(format, { company: companyData, range });
+
+    res.set({
+      'Content-Type': DatasetExporter.contentType(format),
+      'Content-Disposition': `attachment; filename="${DatasetExporter.fileName({ format, company: companyData, range, dump })}"`
+    });
+
+    // pipeline only pulls more chunks as the client keeps up, and stops
+    // when it disconnects
+    pipeline(Readable.from(chunks), res, (error) => {
+      if (!error) return;
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        (req.log || logger).debug('Export aborted by client');
+        return;
+      }
+      (req.log || logger).error('Error streaming export:', error);
+    });
+  } catch (error) {
+    logger.error('Error in /export endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process request'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { GraphQLError } = require('graphql');
+const { runQuery } = require('../services/graphql');
+const { cacheResponse } = require('../middleware/responseCache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Hide resolver crashes behind a generic message; errors the schema
+ * raises on purpose (bad arguments, limits) pass through
+ */
+function formatError(error, req) {
+  if (error.originalError && !(error.originalError instanceof GraphQLError)) {
+    (req.log || logger).error('Error resolving GraphQL field:', error.originalError);
+    return { message: 'Internal server error', path: error.path };
+  }
+  return error.toJSON();
+}
+
+async function handleQuery(req, res, { query, variables, operationName }) {
+  try {
+    if (typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '"query" must be a GraphQL query string'
+      });
+    }
+
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '"variables" must be an object'
+      });
+    }
+
+    const result = await runQuery({ query, variables: variables || {}, operationName: operationName || null });
+    const body = {};
+    if (result.data !== undefined) {
+      body.data = result.data;
+    }
+    if (result.errors) {
+      body.errors = result.errors.map(error => formatError(error, req));
+    }
+
+    // Queries that failed to parse or validate never ran
+    res.status(result.data === undefined ? 400 : 200).json(body);
+  } catch (error) {
+    logger.error('Error in /graphql endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process query'
+    });
+  }
+}
+
+/**
+ * POST /api/graphql
+ * Query problems, companies and time ranges, selecting only the fields
+ * the caller needs
+ *
+ * Body:
+ * - query: GraphQL query, e.g. { problem(slug: "two-sum") { companies { name } } }
+ * - variables: optional object of query variables
+ * - operationName: optional operation to run when the query has several
+ *
+ * Queries are rejected when nested deeper or estimated costlier than the
+ * configured graphql.maxDepth / graphql.maxComplexity.
+ */
+router.post('/graphql', (req, res) => {
+  const { query, variables, operationName } = req.body || {};
+  return handleQuery(req, res, { query, variables, operationName });
+});
+
+/**
+ * GET /api/graphql
+ * Same as POST, for cacheable queries
+ *
+ * Query params:
+ * - query: GraphQL query
+ * - variables: optional JSON-encoded object of query variables
+ * - operationName: optional operation to run
+ */
+router.get('/graphql', cacheResponse(), (req, res) => {
+  const { query, operationName } = req.query;
+  let variables;
+
+  if (req.query.variables) {
+    try {
+      variables = JSON.parse(req.query.variables);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '"variables" must be valid JSON'
+      });
+    }
+  }
+
+  return handleQuery(req, res, { query, variables, operationName });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const HealthCheck = require('../services/healthCheck');
+const { isAdmin } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/health
+ * Overall status (ok, stale, degraded or unavailable), dataset counts and
+ * recent refresh attempts. Always 200 so existing clients keep working;
+ * use /api/health/ready for a status code that reflects readiness.
+ * Refresh errors are reported as codes and validation as its status,
+ * unless the request carries the admin token.
+ */
+router.get('/health', (req, res) => {
+  try {
+    res.json(HealthCheck.readiness({ details: isAdmin(req) }));
+  } catch (error) {
+    logger.error('Error in /health endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check health'
+    });
+  }
+});
+
+/**
+ * GET /api/health/live
+ * Liveness probe: 200 whenever the process can answer at all
+ */
+router.get('/health/live', (req, res) => {
+  res.json(HealthCheck.liveness());
+});
+
+/**
+ * GET /api/health/ready
+ * Readiness probe: same payload as /api/health. Responds 503 until data
+ * is loaded; stale or degraded data is still served, so those stay 200.
+ *
+ * Query params:
+ * - strict: "true" to also respond 503 when stale or degraded, for
+ *   uptime monitors that only look at the status code
+ */
+router.get('/health/ready', (req, res) => {
+  try {
+    const health = HealthCheck.readiness({ details: isAdmin(req) });
+    const strict = req.query.strict === 'true';
+    const healthy = strict ? health.status === 'ok' : health.ready;
+
+    res.status(healthy ? 200 : 503).json(health);
+  } catch (error) {
+    logger.error('Error in /health/ready endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check health'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const Metrics = require('../services/metrics');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ * Prometheus metrics in text exposition format
+ */
+router.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', Metrics.contentType);
+    res.send(await Metrics.render());
+  } catch (error) {
+    logger.error('Error rendering metrics:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to render metrics'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,125 +1,328 @@
-const express = require('express');
-const DataService = require('../services/dataService');
-const logger = require('../utils/logger');
-
-const router = express.Router();
-
-/**
- * GET /api/problem
- * Query by slug or title with optional time range filter
- * 
- * Query params:
- * - slug: problem slug (e.g., "two-sum")
- * - title: problem title (e.g., "Two Sum")
- * - range: time range filter (30, 60, 90, all)
- */
-router.get('/problem', (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    const { slug, title, range } = req.query;
-
-    // Validate input
-    if (!slug && !title) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Either "slug" or "title" query parameter is required'
-      });
-    }
-
-    // Validate range if provided
-    if (range && !['30', '90', '180', 'all'].includes(range)) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid range. Must be one of: 30, 90, 180, all'
-      });
-    }
-
-    // Query by slug or title
-    let result;
-    if (slug) {
-      result = DataService.queryBySlug(slug, range);
-    } else {
-      result = DataService.queryByTitle(title, range);
-    }
-
-    if (!result) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Problem not found in database'
-      });
-    }
-
-    const duration = Date.now() - startTime;
-    logger.debug(`Query completed in ${duration}ms`);
-
-    res.json(result);
-  } catch (error) {
-    logger.error('Error in /problem endpoint:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to process request'
-    });
-  }
-});
-
-/**
- * GET /api/search
- * Search for problems by partial title match
- * 
- * Query params:
- * - q: search query
- * - limit: maximum number of results (default: 10)
- */
-router.get('/search', (req, res) => {
-  try {
-    const { q, limit } = req.query;
-
-    if (!q) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Query parameter "q" is required'
-      });
-    }
-
-    const maxLimit = Math.min(parseInt(limit) || 10, 50);
-    const results = DataService.searchProblems(q, maxLimit);
-
-    res.json({
-      query: q,
-      count: results.length,
-      results: results
-    });
-  } catch (error) {
-    logger.error('Error in /search endpoint:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to process search'
-    });
-  }
-});
-
-/**
- * POST /api/refresh
- * Manually trigger data refresh (admin endpoint)
- */
-router.post('/refresh', async (req, res) => {
-  try {
-    logger.info('Manual data refresh triggered');
-    await DataService.updateData();
-    
-    res.json({
-      success: true,
-      message: 'Data refreshed successfully',
-      status: DataService.getStatus()
-    });
-  } catch (error) {
-    logger.error('Error refreshing data:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to refresh data'
-    });
-  }
-});
-
+const express = require('express');
+const DataService = require('../services/dataService');
+const TimeRanges = require('../services/timeRanges');
+const Normalizer = require('../services/normalizer');
+const Metrics = require('../services/metrics');
+const { cacheResponse } = require('../middleware/responseCache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_BATCH_SIZE = 200;
+const NO_QUESTION_IDS = 'Lookup by "id" is unavailable: the data source has no question ID column';
+
+/**
+ * Validate the optional difficulty filter and collect the problem filters
+ * shared by /problem and /search
+ */
+function parseFilters(query) {
+  const { difficulty, topic } = query;
+
+  if (difficulty && !DIFFICULTIES.includes(difficulty.toLowerCase())) {
+    return { error: 'Invalid difficulty. Must be one of: easy, medium, hard' };
+  }
+
+  return { filters: { difficulty, topic } };
+}
+
+/**
+ * GET /api/problem
+ * Query by slug, title, question number or URL with optional time range filter.
+ * The response's "matchedBy" field reports which strategy found the problem
+ * (slug, alias, title, title-slug, id or url).
+ * 
+ * Query params:
+ * - slug: problem slug (e.g., "two-sum"); renamed slugs are followed
+ * - title: problem title (e.g., "Two Sum")
+ * - id: question number (e.g., 1); only works when the data source's CSVs
+ *   have an ID column, otherwise responds 501
+ * - url: problem URL (e.g., "https://leetcode.com/problems/two-sum/")
+ * - range: time range filter (default ranges: 30, 60, 90, 180, all)
+ * - sort: order companies by frequency (default) or recency-weighted score
+ * - difficulty: only match problems of this difficulty (easy, medium, hard)
+ * - topic: only match problems tagged with this topic (e.g., "Graph")
+ */
+router.get('/problem', cacheResponse({ onHit: () => Metrics.recordLookup('problem', true) }), (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { slug, title, id, url, range, sort = 'frequency' } = req.query;
+
+    // Validate input
+    if (!slug && !title && !id && !url) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'One of "slug", "title", "id" or "url" query parameters is required'
+      });
+    }
+
+    if (id && !/^\d+$/.test(id)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '"id" must be a question number'
+      });
+    }
+
+    if (url && !Normalizer.slugFromUrl(url)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '"url" must be a LeetCode problem URL'
+      });
+    }
+
+    // Validate range if provided
+    if (range && !TimeRanges.isValidParam(range)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: TimeRanges.invalidParamMessage()
+      });
+    }
+
+    if (!['frequency', 'score'].includes(sort)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid sort. Must be one of: frequency, score'
+      });
+    }
+
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    // Query by slug, title, ID or URL
+    let result;
+    if (slug) {
+      result = DataService.queryBySlug(slug, range, filters, sort);
+    } else if (title) {
+      result = DataService.queryByTitle(title, range, filters, sort);
+    } else if (id) {
+      if (!DataService.hasQuestionIds()) {
+        return res.status(501).json({
+          error: 'Not Implemented',
+          message: NO_QUESTION_IDS
+        });
+      }
+      result = DataService.queryById(id, range, filters, sort);
+    } else {
+      result = DataService.queryByUrl(url, range, filters, sort);
+    }
+
+    Metrics.recordLookup('problem', Boolean(result));
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Problem not found in database'
+      });
+    }
+
+    req.log.debug('Query completed', { durationMs: Date.now() - startTime, matchedBy: result.matchedBy });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error in /problem endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process request'
+    });
+  }
+});
+
+/**
+ * GET /api/search
+ * Ranked search by title with prefix matching and typo tolerance
+ * 
+ * Query params:
+ * - q: search query
+ * - limit: maximum number of results (default: 10, max: 50)
+ * - offset: number of results to skip, for pagination (default: 0)
+ * - difficulty: only return problems of this difficulty (easy, medium, hard)
+ * - topic: only return problems tagged with this topic (e.g., "Graph")
+ */
+router.get('/search', cacheResponse(), (req, res) => {
+  try {
+    const { q, limit, offset } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Query parameter "q" is required'
+      });
+    }
+
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    const maxLimit = Math.min(parseInt(limit) || 10, 50);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+    const { total, results } = DataService.searchProblems(q, {
+      limit: maxLimit,
+      offset: skip,
+      filters
+    });
+
+    res.json({
+      query: q,
+      total: total,
+      offset: skip,
+      limit: maxLimit,
+      count: results.length,
+      results: results
+    });
+  } catch (error) {
+    logger.error('Error in /search endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process search'
+    });
+  }
+});
+
+/**
+ * GET /api/suggest
+ * Autocomplete problem titles as the user types
+ * 
+ * Query params:
+ * - q: partial title
+ * - limit: maximum number of suggestions (default: 8, max: 20)
+ */
+router.get('/suggest', cacheResponse(), (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Query parameter "q" is required'
+      });
+    }
+
+    const maxLimit = Math.min(parseInt(limit) || 8, 20);
+    const suggestions = DataService.suggestProblems(q, maxLimit);
+
+    res.json({
+      query: q,
+      suggestions: suggestions
+    });
+  } catch (error) {
+    logger.error('Error in /suggest endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process suggestions'
+    });
+  }
+});
+
+/**
+ * POST /api/problems/batch
+ * Look up many problems in one round trip (e.g., every row of a problem list)
+ * 
+ * Body:
+ * - items: up to 200 lookups, each a slug, title or URL string, a question
+ *   number, or an object with one of "slug", "title", "id" or "url"
+ *   (question numbers only resolve when the data source has an ID column)
+ * - range: time range filter (default ranges: 30, 60, 90, 180, all)
+ * 
+ * Results are returned in input order; lookups that don't resolve are
+ * marked with found: false instead of failing the whole batch.
+ */
+router.post('/problems/batch', (req, res) => {
+  try {
+    const { items, range } = req.body || {};
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Body must contain a non-empty "items" array'
+      });
+    }
+
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Too many items. Maximum batch size is ${MAX_BATCH_SIZE}`
+      });
+    }
+
+    // Validate range if provided
+    if (range && !TimeRanges.isValidParam(range)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: TimeRanges.invalidParamMessage()
+      });
+    }
+
+    const results = items.map(item => lookupBatchItem(item, range ? String(range) : null));
+    const found = results.filter(r => r.found).length;
+
+    for (const result of results) {
+      Metrics.recordLookup('batch', result.found);
+    }
+
+    res.json({
+      range: range || null,
+      count: results.length,
+      found: found,
+      notFound: results.length - found,
+      results: results
+    });
+  } catch (error) {
+    logger.error('Error in /problems/batch endpoint:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process batch'
+    });
+  }
+});
+
+/**
+ * Resolve one batch entry the same way GET /problem does
+ */
+function lookupBatchItem(item, range) {
+  let result = null;
+
+  if (typeof item === 'number' || (typeof item === 'string' && /^\d+$/.test(item.trim()))) {
+    if (!DataService.hasQuestionIds()) {
+      return { input: item, found: false, error: NO_QUESTION_IDS };
+    }
+    result = DataService.queryById(item, range);
+  } else if (typeof item === 'string' && item.trim()) {
+    // Slug resolution also tries old slugs, titles and URLs
+    result = DataService.queryBySlug(item, range);
+  } else if (item && typeof item === 'object') {
+    if (item.slug) {
+      result = DataService.queryBySlug(String(item.slug), range);
+    } else if (item.title) {
+      result = DataService.queryByTitle(String(item.title), range);
+    } else if (item.id) {
+      if (!DataService.hasQuestionIds()) {
+        return { input: item, found: false, error: NO_QUESTION_IDS };
+      }
+      result = DataService.queryById(item.id, range);
+    } else if (item.url) {
+      result = DataService.queryByUrl(String(item.url), range);
+    } else {
+      return { input: item, found: false, error: 'Item must have a "slug", "title", "id" or "url"' };
+    }
+  } else {
+    return { input: item, found: false, error: 'Invalid item' };
+  }
+
+  if (!result) {
+    return { input: item, found: false, error: 'Not Found' };
+  }
+
+  return { input: item, found: true, result: result };
+}
+
 module.exports = router;
\ No newline at end of file
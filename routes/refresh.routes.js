@@ -0,0 +1,73 @@
+const express = require('express');
+const RefreshJobs = require('../services/refreshJobs');
+const { requireAdmin } = require('../middleware/adminAuth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * POST /api/refresh
+ * Start a background data refresh (admin endpoint)
+ *
+ * Requires "Authorization: Bearer <ADMIN_TOKEN>". Responds 202 with a job
+ * ID to poll, or 409 with the running job's ID if a refresh is already
+ * in progress.
+ *
+ * Body (optional):
+ * - force: true to swap the new dataset in even if it fails validation
+ *   thresholds (an empty dataset is still rejected)
+ */
+router.post('/refresh', requireAdmin, (req, res) => {
+  try {
+    const force = Boolean(req.body && req.body.force === true);
+    const { job, started } = RefreshJobs.start('manual', { force });
+
+    if (!started) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A refresh is already running',
+        jobId: job.id,
+        statusUrl: `/api/refresh/${job.id}`
+      });
+    }
+
+    logger.info('Manual data refresh triggered');
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/refresh/${job.id}`
+    });
+  } catch (error) {
+    if (error.code === 'SHUTTING_DOWN') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+    logger.error('Error starting refresh:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start refresh'
+    });
+  }
+});
+
+/**
+ * GET /api/refresh/:jobId
+ * Status of a refresh job: phase (fetch, parse, index, validate, done),
+ * progress counts and any error or rejection reasons (admin endpoint)
+ */
+router.get('/refresh/:jobId', requireAdmin, (req, res) => {
+  const job = RefreshJobs.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Refresh job not found'
+    });
+  }
+
+  res.json(job);
+});
+
+module.exports = router;
@@ -1,88 +1,205 @@
-const express = require('express');
-const cors = require('cors');
-const cron = require('node-cron');
-const problemRoutes = require('./routes/problem.routes');
-const DataService = require('./services/dataService');
-const logger = require('./utils/logger');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Request logging
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`);
-  next();
-});
-
-// Routes
-app.use('/api', problemRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  const status = DataService.getStatus();
-  res.json({
-    status: 'ok',
-    dataVersion: status.lastUpdated,
-    totalProblems: status.totalProblems,
-    totalCompanies: status.totalCompanies
-  });
-});
-
-// Error handling
-app.use((err, req, res, next) => {
-  logger.error('Error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
-});
-
-// Initialize data on startup
-async function initialize() {
-  try {
-    logger.info('Initializing application...');
-    await DataService.initialize();
-    logger.info('Data loaded successfully');
-    
-    // Schedule daily updates at 2 AM
-    cron.schedule('0 2 * * *', async () => {
-      logger.info('Running scheduled data update...');
-      try {
-        await DataService.updateData();
-        logger.info('Scheduled update completed');
-      } catch (error) {
-        logger.error('Scheduled update failed:', error);
-      }
-    });
-    
-    app.listen(PORT, () => {
-      logger.info(`Server running on port ${PORT}`);
-      logger.info(`Health check: http://localhost:${PORT}/api/health`);
-    });
-  } catch (error) {
-    logger.error('Failed to initialize:', error);
-    process.exit(1);
-  }
-}
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
-
-initialize();
\ No newline at end of file
+const express = require('express');
+const cors = require('cors');
+const cron = require('node-cron');
+const problemRoutes = require('./routes/problem.routes');
+const companyRoutes = require('./routes/company.routes');
+const changesRoutes = require('./routes/changes.routes');
+const refreshRoutes = require('./routes/refresh.routes');
+const metricsRoutes = require('./routes/metrics.routes');
+const graphqlRoutes = require('./routes/graphql.routes');
+const exportRoutes = require('./routes/export.routes');
+const healthRoutes = require('./routes/health.routes');
+const DataService = require('./services/dataService');
+const RefreshJobs = require('./services/refreshJobs');
+const RefreshWorker = require('./services/refreshWorker');
+const Metrics = require('./services/metrics');
+const HealthCheck = require('./services/healthCheck');
+const { requestContext } = require('./middleware/requestContext');
+const { rateLimits } = require('./middleware/rateLimit');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+const app = express();
+const PORT = config.server.port;
+
+let server = null;
+let refreshTask = null;
+let shuttingDown = false;
+let startup = null;
+
+// Behind a proxy, req.ip (and so rate limiting) needs X-Forwarded-For
+const { trustProxy } = config.server;
+if (trustProxy === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', parseInt(trustProxy)); // number of proxy hops
+} else if (trustProxy) {
+  app.set('trust proxy', trustProxy); // e.g. "loopback" or a subnet list
+}
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Request IDs, request logging and HTTP metrics
+app.use(requestContext);
+
+// Prometheus scrape endpoint and health probes, outside the /api rate
+// limits so a busy client can't make them fail with 429s
+app.use(metricsRoutes);
+app.use('/api', healthRoutes);
+
+// Rate limiting: stricter groups first, then the general API budget
+app.use(['/api/search', '/api/suggest'], rateLimits.search);
+app.use(['/api/problems/batch', '/api/export'], rateLimits.batch);
+// Only starting a refresh; polling a job's status is ordinary API traffic
+app.post('/api/refresh', rateLimits.admin);
+app.use('/api', rateLimits.api);
+
+// Routes
+app.use('/api', problemRoutes);
+app.use('/api', companyRoutes);
+app.use('/api', changesRoutes);
+app.use('/api', refreshRoutes);
+app.use('/api', graphqlRoutes);
+app.use('/api', exportRoutes);
+
+// Error handling
+app.use((err, req, res, next) => {
+  (req.log || logger).error('Unhandled error', err);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: config.server.nodeEnv === 'development' ? err.message : undefined
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Keep dataset gauges in step with whatever data is live
+DataService.on('updated', status => Metrics.updateDataset(status));
+
+// Initialize data on startup
+async function initialize() {
+  try {
+    logger.info('Initializing application...');
+    const restored = await DataService.loadSnapshot();
+
+    // Without a snapshot the first live load runs as a refresh job, so it
+    // shows up in the refresh history like any other
+    if (!restored) {
+      const { job } = RefreshJobs.start('startup');
+      const finished = await RefreshJobs.wait(job.id);
+      if (finished.status !== 'succeeded') {
+        throw new Error(`Initial data load ${finished.status}: ${finished.error}`);
+      }
+    }
+    logger.info('Data loaded successfully');
+
+    if (shuttingDown) {
+      return;
+    }
+
+    // Serving a snapshot: fetch fresh data in the background
+    if (restored) {
+      RefreshJobs.start('startup');
+    }
+    
+    // Scheduled updates, daily at 2 AM unless configured otherwise
+    refreshTask = cron.schedule(config.schedule.refreshCron, async () => {
+      logger.info('Running scheduled data update...');
+      const { job, started } = RefreshJobs.start('cron');
+
+      if (!started) {
+        logger.warn(`Skipping scheduled update, refresh ${job.id} is already running`);
+        return;
+      }
+
+      const finished = await RefreshJobs.wait(job.id);
+      if (finished.status === 'succeeded') {
+        logger.info('Scheduled update completed');
+      } else if (finished.status === 'rejected') {
+        logger.warn('Scheduled update rejected, keeping current data:', finished.error);
+      } else if (finished.status === 'cancelled') {
+        logger.warn('Scheduled update cancelled:', finished.error);
+      } else {
+        logger.error('Scheduled update failed:', finished.error);
+      }
+    });
+    
+    server = app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+      logger.info(`Health check: http://localhost:${PORT}/api/health`);
+    });
+  } catch (error) {
+    if (shuttingDown) {
+      return; // shutdown() exits once this settles
+    }
+    logger.error('Failed to initialize:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Stop accepting connections and resolve once every open request has
+ * finished. Keep-alive connections are closed as soon as they go idle.
+ */
+function closeServer() {
+  if (!server) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const sweep = setInterval(() => server.closeIdleConnections(), 250);
+    server.close(() => {
+      clearInterval(sweep);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
+
+// Graceful shutdown: stop scheduling and accepting work, cancel any
+// refresh in flight, then let open requests finish within the timeout
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down gracefully`);
+
+  const timeout = setTimeout(() => {
+    logger.error(`Shutdown timed out after ${config.server.shutdownTimeoutMs}ms, closing open connections`);
+    if (server) {
+      server.closeAllConnections();
+    }
+    process.exit(1);
+  }, config.server.shutdownTimeoutMs);
+  timeout.unref();
+
+  HealthCheck.markShuttingDown();
+  if (refreshTask) {
+    refreshTask.stop();
+  }
+  // Also cancels the initial data load if we haven't started serving yet
+  const jobsStopped = RefreshJobs.shutdown();
+
+  try {
+    await startup;
+    await Promise.all([jobsStopped, closeServer()]);
+    await RefreshWorker.stop();
+    logger.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startup = initialize();
\ No newline at end of file
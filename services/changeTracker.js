@@ -0,0 +1,172 @@
+const CompanyRegistry = require('./companyRegistry');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Records what changed between consecutive datasets so clients can ask
+ * "what's new since the version I last saw".
+ */
+class ChangeTracker {
+  constructor() {
+    this.maxHistory = config.changes.historySize;
+    this.history = []; // oldest first
+  }
+
+  /**
+   * Compare two problem maps (slug -> problem data) and list new/removed
+   * problems, companies that added or dropped a problem, and frequency changes.
+   * A problem that is new overall also shows up under companyAdded for every
+   * company that asks it.
+   */
+  diff(previousMap, nextMap) {
+    const changes = {
+      newProblems: [],
+      removedProblems: [],
+      companyAdded: [],
+      companyDropped: [],
+      frequencyChanged: []
+    };
+
+    for (const [slug, next] of nextMap.entries()) {
+      const previous = previousMap.get(slug);
+
+      if (!previous) {
+        changes.newProblems.push({
+          slug: slug,
+          problem: next.problem,
+          companies: next.companies.map(c => c.name)
+        });
+      }
+
+      const previousCompanies = new Map((previous ? previous.companies : []).map(c => [c.name, c]));
+
+      for (const company of next.companies) {
+        const before = previousCompanies.get(company.name);
+
+        if (!before) {
+          changes.companyAdded.push({
+            slug: slug,
+            problem: next.problem,
+            company: company.name,
+            frequency: company.frequency
+          });
+        } else if (before.frequency !== company.frequency) {
+          changes.frequencyChanged.push({
+            slug: slug,
+            problem: next.problem,
+            company: company.name,
+            from: before.frequency,
+            to: company.frequency
+          });
+        }
+
+        previousCompanies.delete(company.name);
+      }
+
+      // Whatever is left was asked before but not any more
+      for (const company of previousCompanies.values()) {
+        changes.companyDropped.push({
+          slug: slug,
+          problem: next.problem,
+          company: company.name
+        });
+      }
+    }
+
+    for (const [slug, previous] of previousMap.entries()) {
+      if (!nextMap.has(slug)) {
+        changes.removedProblems.push({
+          slug: slug,
+          problem: previous.problem,
+          companies: previous.companies.map(c => c.name)
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Add a diff to the bounded history
+   */
+  record(fromVersion, toVersion, changes) {
+    const entry = {
+      fromVersion: fromVersion,
+      toVersion: toVersion,
+      recordedAt: new Date().toISOString(),
+      summary: this.summarize(changes),
+      changes: changes
+    };
+
+    this.history.push(entry);
+    if (this.history.length > this.maxHistory) {
+      this.history.splice(0, this.history.length - this.maxHistory);
+    }
+
+    const { summary } = entry;
+    logger.info(`Recorded changes ${fromVersion} -> ${toVersion}: ${summary.newProblems} new problems, ` +
+      `${summary.companyAdded} added, ${summary.companyDropped} dropped, ${summary.frequencyChanged} frequency changes`);
+
+    return entry;
+  }
+
+  summarize(changes) {
+    const summary = {};
+    for (const [key, items] of Object.entries(changes)) {
+      summary[key] = items.length;
+    }
+    return summary;
+  }
+
+  /**
+   * History entries newer than `since`, optionally narrowed to one company.
+   * `complete` is false when history no longer reaches back to `since`.
+   */
+  getChangesSince(since = null, { company = null } = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const entries = this.history.filter(entry => sinceTime === null || Date.parse(entry.toVersion) > sinceTime);
+
+    const oldest = this.history[0];
+    const complete = sinceTime === null || !oldest || Date.parse(oldest.fromVersion) <= sinceTime;
+
+    if (!company) {
+      return { complete, entries };
+    }
+
+    // Match on the registry key so aliases ("Facebook" vs "Meta") line up
+    const companyKey = CompanyRegistry.resolveKey(company);
+    const matches = (name) => CompanyRegistry.resolveKey(name) === companyKey;
+
+    return {
+      complete,
+      entries: entries.map(entry => {
+        const changes = {
+          newProblems: entry.changes.newProblems.filter(item => item.companies.some(matches)),
+          removedProblems: entry.changes.removedProblems.filter(item => item.companies.some(matches)),
+          companyAdded: entry.changes.companyAdded.filter(item => matches(item.company)),
+          companyDropped: entry.changes.companyDropped.filter(item => matches(item.company)),
+          frequencyChanged: entry.changes.frequencyChanged.filter(item => matches(item.company))
+        };
+
+        return {
+          ...entry,
+          summary: this.summarize(changes),
+          changes: changes
+        };
+      })
+    };
+  }
+
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Reload history saved alongside a snapshot
+   */
+  restore(history) {
+    this.history = Array.isArray(history) ? history.slice(-this.maxHistory) : [];
+  }
+}
+
+module.exports = new ChangeTracker();
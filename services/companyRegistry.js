@@ -0,0 +1,85 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Maps raw company folder names to one canonical company.
+ *
+ * Names are compared by a loose key (case, spacing and punctuation
+ * ignored), and a configurable alias table folds renamed companies
+ * together, e.g. "Facebook" -> "Meta".
+ */
+class CompanyRegistry {
+  constructor() {
+    this.aliasesPath = config.aliases.companiesPath;
+    this.canonicalByKey = new Map(); // alias key -> canonical name
+    this.aliasesByCanonical = new Map(); // canonical name -> configured aliases
+    this.loadAliases(this.aliasesPath);
+  }
+
+  /**
+   * Load an alias table of the form { "Canonical": ["Alias", ...] }
+   */
+  loadAliases(filePath) {
+    this.canonicalByKey.clear();
+    this.aliasesByCanonical.clear();
+
+    let table = {};
+    try {
+      table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to load company aliases from ${filePath}: ${error.message}`);
+      }
+      return;
+    }
+
+    for (const [canonical, aliases] of Object.entries(table)) {
+      const canonicalName = this.cleanName(canonical);
+      const aliasList = Array.isArray(aliases) ? aliases.map(alias => this.cleanName(alias)) : [];
+
+      this.aliasesByCanonical.set(canonicalName, aliasList);
+      this.canonicalByKey.set(this.toKey(canonicalName), canonicalName);
+      for (const alias of aliasList) {
+        this.canonicalByKey.set(this.toKey(alias), canonicalName);
+      }
+    }
+
+    logger.debug(`Loaded ${this.aliasesByCanonical.size} company alias groups`);
+  }
+
+  /**
+   * Tidy a raw name for display ("goldman_sachs " -> "goldman sachs")
+   */
+  cleanName(name) {
+    return String(name || '').replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Loose comparison key ("Goldman-Sachs" and "goldman sachs" -> "goldmansachs")
+   */
+  toKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Canonical display name for a raw or user-supplied company name
+   */
+  canonicalize(name) {
+    const cleaned = this.cleanName(name);
+    return this.canonicalByKey.get(this.toKey(cleaned)) || cleaned;
+  }
+
+  /**
+   * Key a company is indexed under, whichever of its names is given
+   */
+  resolveKey(name) {
+    return this.toKey(this.canonicalize(name));
+  }
+
+  getAliases(canonicalName) {
+    return this.aliasesByCanonical.get(canonicalName) || [];
+  }
+}
+
+module.exports = new CompanyRegistry();
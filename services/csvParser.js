@@ -1,117 +1,247 @@
-const Papa = require('papaparse');
-const logger = require('../utils/logger');
-
-class CSVParser {
-  parseCSV(csvContent) {
-    try {
-      const result = Papa.parse(csvContent, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        transformHeader: (header) => header.trim().toLowerCase()
-      });
-
-      if (result.errors.length > 0) {
-        logger.warn('CSV parse warnings:', result.errors);
-      }
-
-      return result.data;
-    } catch (error) {
-      logger.error('CSV parse error:', error);
-      return [];
-    }
-  }
-
-  async parseAllCSVs(repoData) {
-    const parsedData = {};
-
-    for (const [companyName, timeRanges] of Object.entries(repoData)) {
-      parsedData[companyName] = {};
-
-      for (const [timeRange, csvContent] of Object.entries(timeRanges)) {
-        const rows = this.parseCSV(csvContent);
-        const problems = this.extractProblems(rows);
-        
-        parsedData[companyName][timeRange] = problems;
-        
-        logger.debug(`Parsed ${companyName}/${timeRange}: ${problems.length} problems`);
-      }
-    }
-
-    return parsedData;
-  }
-
-  extractProblems(rows) {
-    const problems = [];
-    const seen = new Set();
-
-    for (const row of rows) {
-      // Handle various possible column names
-      const title = this.extractTitle(row);
-      const frequency = this.extractFrequency(row);
-
-      if (!title) continue;
-
-      // Deduplicate within the same file
-      const key = title.toLowerCase().trim();
-      if (seen.has(key)) continue;
-      seen.add(key);
-
-      problems.push({
-        title: title.trim(),
-        frequency: frequency
-      });
-    }
-
-    return problems;
-  }
-
-  extractTitle(row) {
-    // Try various possible column names
-    const titleKeys = [
-      'title',
-      'problem',
-      'problem title',
-      'question',
-      'question title',
-      'name'
-    ];
-
-    for (const key of titleKeys) {
-      if (row[key] && typeof row[key] === 'string') {
-        return row[key];
-      }
-    }
-
-    // If no match, try to find any column with string values
-    for (const [key, value] of Object.entries(row)) {
-      if (typeof value === 'string' && value.trim().length > 0) {
-        return value;
-      }
-    }
-
-    return null;
-  }
-
-  extractFrequency(row) {
-    const freqKeys = [
-      'frequency',
-      'freq',
-      'count',
-      'occurrences'
-    ];
-
-    for (const key of freqKeys) {
-      if (row[key] !== undefined && row[key] !== null) {
-        const freq = parseInt(row[key], 10);
-        if (!isNaN(freq)) {
-          return freq;
-        }
-      }
-    }
-
-    return 1; // Default frequency
-  }
-}
-
+const Papa = require('papaparse');
+const Normalizer = require('./normalizer');
+const logger = require('../utils/logger');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+class CSVParser {
+  /**
+   * Parse one CSV file. Returns { rows, errorCount, failed } where `failed`
+   * means the file could not be parsed at all.
+   */
+  parseCSV(csvContent) {
+    try {
+      const result = Papa.parse(csvContent, {
+        header: true,
+        skipEmptyLines: true,
+        dynamicTyping: true,
+        transformHeader: (header) => header.trim().toLowerCase()
+      });
+
+      if (result.errors.length > 0) {
+        logger.warn('CSV parse warnings:', result.errors);
+      }
+
+      return { rows: result.data, errorCount: result.errors.length, failed: false };
+    } catch (error) {
+      logger.error('CSV parse error:', error);
+      return { rows: [], errorCount: 0, failed: true };
+    }
+  }
+
+  /**
+   * Parse every company's CSVs. `onProgress` is called after each file with
+   * { parsedFiles, totalFiles }. Aborting `signal` stops between companies.
+   *
+   * Returns { parsedData, stats }, where stats counts files, rows and parse
+   * errors so the dataset can be validated before it goes live.
+   */
+  async parseAllCSVs(repoData, onProgress = null, signal = null) {
+    const parsedData = {};
+    const totalFiles = Object.values(repoData)
+      .reduce((sum, timeRanges) => sum + Object.keys(timeRanges).length, 0);
+    const stats = { totalFiles, failedFiles: 0, totalRows: 0, rowErrors: 0 };
+    let parsedFiles = 0;
+
+    for (const [companyName, timeRanges] of Object.entries(repoData)) {
+      if (signal) signal.throwIfAborted();
+      parsedData[companyName] = {};
+
+      for (const [timeRange, csvContent] of Object.entries(timeRanges)) {
+        const { rows, errorCount, failed } = this.parseCSV(csvContent);
+        const problems = this.extractProblems(rows);
+        
+        parsedData[companyName][timeRange] = problems;
+        parsedFiles++;
+        stats.totalRows += rows.length;
+        stats.rowErrors += errorCount;
+
+        // A non-empty file that yields no problems is as good as unreadable
+        if (failed || (problems.length === 0 && String(csvContent).trim().includes('\n'))) {
+          stats.failedFiles++;
+        }
+        
+        logger.debug(`Parsed ${companyName}/${timeRange}: ${problems.length} problems`);
+
+        if (onProgress) {
+          onProgress({ parsedFiles, totalFiles });
+        }
+      }
+
+      // Let pending requests through between companies
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { parsedData, stats };
+  }
+
+  extractProblems(rows) {
+    const problems = [];
+    const seen = new Set();
+
+    for (const row of rows) {
+      // Handle various possible column names
+      const title = this.extractTitle(row);
+      const id = this.extractId(row);
+      const frequency = this.extractFrequency(row);
+      const difficulty = this.extractDifficulty(row);
+      const acceptanceRate = this.extractAcceptanceRate(row);
+      const link = this.extractLink(row);
+      const topics = this.extractTopics(row);
+
+      if (!title) continue;
+
+      // Deduplicate within the same file
+      const key = title.toLowerCase().trim();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      problems.push({
+        title: title.trim(),
+        id: id,
+        frequency: frequency,
+        difficulty: difficulty,
+        acceptanceRate: acceptanceRate,
+        link: link,
+        topics: topics
+      });
+    }
+
+    return problems;
+  }
+
+  extractTitle(row) {
+    // Try various possible column names
+    const titleKeys = [
+      'title',
+      'problem',
+      'problem title',
+      'question',
+      'question title',
+      'name'
+    ];
+
+    for (const key of titleKeys) {
+      if (row[key] && typeof row[key] === 'string') {
+        return row[key];
+      }
+    }
+
+    // If no match, try to find any column with string values
+    for (const [key, value] of Object.entries(row)) {
+      if (typeof value === 'string' && value.trim().length > 0) {
+        return value;
+      }
+    }
+
+    return null;
+  }
+
+  extractFrequency(row) {
+    const freqKeys = [
+      'frequency',
+      'freq',
+      'count',
+      'occurrences'
+    ];
+
+    for (const key of freqKeys) {
+      if (row[key] !== undefined && row[key] !== null) {
+        const freq = parseInt(row[key], 10);
+        if (!isNaN(freq)) {
+          return freq;
+        }
+      }
+    }
+
+    return 1; // Default frequency
+  }
+
+  extractId(row) {
+    const idKeys = [
+      'id',
+      'question id',
+      'problem id',
+      'number'
+    ];
+
+    for (const key of idKeys) {
+      const id = parseInt(row[key], 10);
+      if (!isNaN(id) && id > 0) {
+        return id;
+      }
+    }
+
+    return null;
+  }
+
+  extractDifficulty(row) {
+    const value = row['difficulty'] ?? row['level'];
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const difficulty = value.trim().toLowerCase();
+    if (!DIFFICULTIES.includes(difficulty)) {
+      return null;
+    }
+
+    return difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+  }
+
+  extractAcceptanceRate(row) {
+    const value = row['acceptance rate'] ?? row['acceptance'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    let rate = typeof value === 'number' ? value : parseFloat(String(value).replace('%', ''));
+    if (isNaN(rate)) {
+      return null;
+    }
+
+    // Some exports use percentages (55.2 or "55.2%") instead of ratios (0.552)
+    if (rate > 1 || String(value).includes('%')) {
+      rate = rate / 100;
+    }
+
+    if (rate < 0 || rate > 1) {
+      return null;
+    }
+
+    return Math.round(rate * 10000) / 10000;
+  }
+
+  extractLink(row) {
+    const value = row['link'] ?? row['url'];
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    try {
+      const url = new URL(value.trim());
+      if (!['http:', 'https:'].includes(url.protocol) || !Normalizer.isLeetCodeHost(url.hostname)) {
+        return null;
+      }
+      return url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  extractTopics(row) {
+    const value = row['topics'] ?? row['tags'];
+    if (typeof value !== 'string') {
+      return [];
+    }
+
+    const topics = value
+      .split(',')
+      .map(topic => topic.trim())
+      .filter(topic => topic.length > 0);
+
+    return [...new Set(topics)];
+  }
+}
+
 module.exports = new CSVParser();
\ No newline at end of file
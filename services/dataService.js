@@ -1,208 +1,894 @@
-const GitHubFetcher = require('./githubFetcher');
-const CSVParser = require('./csvParser');
-const Normalizer = require('./normalizer');
-const logger = require('../utils/logger');
-
-class DataService {
-  constructor() {
-    this.problemMap = new Map(); // slug -> problem data
-    this.titleMap = new Map(); // normalized title -> slug
-    this.lastUpdated = null;
-    this.totalProblems = 0;
-    this.totalCompanies = 0;
-  }
-
-  async initialize() {
-    await this.updateData();
-  }
-
-  async updateData() {
-    try {
-      logger.info('Fetching data from GitHub...');
-      const repoData = await GitHubFetcher.fetchRepository();
-      
-      logger.info('Parsing CSV files...');
-      const parsedData = await CSVParser.parseAllCSVs(repoData);
-      
-      logger.info('Building problem index...');
-      this.buildProblemIndex(parsedData);
-      
-      this.lastUpdated = new Date().toISOString();
-      logger.info(`Data update complete. Total problems: ${this.totalProblems}, Companies: ${this.totalCompanies}`);
-    } catch (error) {
-      logger.error('Failed to update data:', error);
-      throw error;
-    }
-  }
-
-  buildProblemIndex(parsedData) {
-    const problemMap = new Map();
-    const titleMap = new Map();
-    const companiesSet = new Set();
-
-    // Process each company's data
-    for (const [companyName, timeRanges] of Object.entries(parsedData)) {
-      companiesSet.add(companyName);
-
-      for (const [timeRange, problems] of Object.entries(timeRanges)) {
-        for (const problem of problems) {
-          const slug = Normalizer.titleToSlug(problem.title);
-          const normalizedTitle = Normalizer.normalizeTitle(problem.title);
-
-          // Initialize problem entry if it doesn't exist
-          if (!problemMap.has(slug)) {
-            problemMap.set(slug, {
-              problem: problem.title,
-              slug: slug,
-              companies: []
-            });
-            titleMap.set(normalizedTitle, slug);
-          }
-
-          // Get existing problem data
-          const problemData = problemMap.get(slug);
-          
-          // Check if company already exists in this problem's data
-          let companyEntry = problemData.companies.find(c => c.name === companyName);
-          
-          if (!companyEntry) {
-            companyEntry = {
-              name: companyName,
-              frequency: 0,
-              timeRanges: {}
-            };
-            problemData.companies.push(companyEntry);
-          }
-
-          // Update frequency and time range data
-          if (problem.frequency) {
-            companyEntry.frequency = Math.max(companyEntry.frequency, problem.frequency);
-          }
-          
-          companyEntry.timeRanges[timeRange] = true;
-          
-          // Set last_seen to the shortest time range
-          const ranges = Object.keys(companyEntry.timeRanges);
-          companyEntry.last_seen = this.getShortestRange(ranges);
-        }
-      }
-    }
-
-    // Sort companies by frequency for each problem
-    for (const problemData of problemMap.values()) {
-      problemData.companies.sort((a, b) => b.frequency - a.frequency);
-    }
-
-    this.problemMap = problemMap;
-    this.titleMap = titleMap;
-    this.totalProblems = problemMap.size;
-    this.totalCompanies = companiesSet.size;
-  }
-
-  getShortestRange(ranges) {
-    const order = ['30-days', '60-days', '90-days', 'all-time'];
-    for (const range of order) {
-      if (ranges.includes(range)) {
-        return range;
-      }
-    }
-    return 'all-time';
-  }
-
-  queryBySlug(slug, timeRange = null) {
-    const normalizedSlug = Normalizer.normalizeSlug(slug);
-    const problemData = this.problemMap.get(normalizedSlug);
-
-    if (!problemData) {
-      return null;
-    }
-
-    return this.filterByTimeRange(problemData, timeRange);
-  }
-
-  queryByTitle(title, timeRange = null) {
-    const normalizedTitle = Normalizer.normalizeTitle(title);
-    const slug = this.titleMap.get(normalizedTitle);
-
-    if (!slug) {
-      return null;
-    }
-
-    return this.queryBySlug(slug, timeRange);
-  }
-
-  filterByTimeRange(problemData, timeRange) {
-    if (!timeRange) {
-      return JSON.parse(JSON.stringify(problemData)); // Deep clone
-    }
-
-    const rangeMap = {
-      '30': '30-days',
-      '60': '60-days',
-      '90': '90-days',
-      'all': 'all-time'
-    };
-
-    const targetRange = rangeMap[timeRange] || timeRange;
-    
-    // Determine which ranges to include based on target
-    const includedRanges = this.getIncludedRanges(targetRange);
-
-    const filtered = {
-      problem: problemData.problem,
-      slug: problemData.slug,
-      companies: problemData.companies
-        .filter(company => {
-          return includedRanges.some(range => company.timeRanges[range]);
-        })
-        .map(company => ({
-          name: company.name,
-          frequency: company.frequency,
-          last_seen: company.last_seen
-        }))
-    };
-
-    return filtered;
-  }
-
-  getIncludedRanges(targetRange) {
-    const rangeHierarchy = {
-      '30-days': ['30-days'],
-      '60-days': ['30-days', '60-days'],
-      '90-days': ['30-days', '60-days', '90-days'],
-      'all-time': ['30-days', '60-days', '90-days', 'all-time']
-    };
-
-    return rangeHierarchy[targetRange] || ['30-days', '60-days', '90-days', 'all-time'];
-  }
-
-  searchProblems(query, limit = 10) {
-    const normalizedQuery = query.toLowerCase().trim();
-    const results = [];
-
-    for (const [slug, data] of this.problemMap.entries()) {
-      if (data.problem.toLowerCase().includes(normalizedQuery) || 
-          slug.includes(normalizedQuery)) {
-        results.push({
-          problem: data.problem,
-          slug: data.slug,
-          companyCount: data.companies.length
-        });
-
-        if (results.length >= limit) break;
-      }
-    }
-
-    return results;
-  }
-
-  getStatus() {
-    return {
-      lastUpdated: this.lastUpdated,
-      totalProblems: this.totalProblems,
-      totalCompanies: this.totalCompanies
-    };
-  }
-}
-
+const EventEmitter = require('events');
+const CSVParser = require('./csvParser');
+const Normalizer = require('./normalizer');
+const SnapshotStore = require('./snapshotStore');
+const TrendAnalyzer = require('./trendAnalyzer');
+const ChangeTracker = require('./changeTracker');
+const SearchIndex = require('./searchIndex');
+const CompanyRegistry = require('./companyRegistry');
+const StudyPlanner = require('./studyPlanner');
+const DatasetValidator = require('./datasetValidator');
+const TimeRanges = require('./timeRanges');
+const SourceMerger = require('./sourceMerger');
+const RefreshWorker = require('./refreshWorker');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Emits 'updated' whenever a new dataset goes live.
+ */
+class DataService extends EventEmitter {
+  constructor() {
+    super();
+    this.problemMap = new Map(); // slug -> problem data
+    this.titleMap = new Map(); // normalized title -> slug
+    this.idMap = new Map(); // question ID -> slug
+    this.aliasMap = new Map(); // old or title-derived slug -> canonical slug
+    this.companyMap = new Map(); // company registry key -> company data
+    this.searchIndex = new SearchIndex();
+    this.lastUpdated = null;
+    this.dataSource = null; // 'snapshot' or 'live'
+    this.upstreamVersions = {}; // source name -> version the live data was built from
+    this.lastValidation = null; // outcome of the most recent dataset validation
+    this.totalProblems = 0;
+    this.totalCompanies = 0;
+  }
+
+  /**
+   * Serve the newest snapshot, if there is one. Resolves to true when a
+   * snapshot was restored.
+   */
+  async loadSnapshot() {
+    try {
+      const snapshot = await SnapshotStore.loadLatest();
+
+      if (!snapshot) {
+        logger.info('No snapshot found on disk');
+        return false;
+      }
+
+      this.swapIndex(this.buildProblemIndex(snapshot.data), {
+        dataVersion: snapshot.dataVersion,
+        dataSource: 'snapshot'
+      });
+      ChangeTracker.restore(snapshot.changeHistory);
+      this.upstreamVersions = this.snapshotUpstreamVersions(snapshot);
+      logger.info(`Restored snapshot ${snapshot.dataVersion}. Total problems: ${this.totalProblems}, Companies: ${this.totalCompanies}`);
+      this.emit('updated', this.getStatus());
+      return true;
+    } catch (error) {
+      logger.error('Failed to load snapshot:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Per-source versions stored with a snapshot. Snapshots from before
+   * multiple sources hold a single upstreamVersion, which belongs to the
+   * one configured source createSources names after its type.
+   */
+  snapshotUpstreamVersions(snapshot) {
+    if (snapshot.upstreamVersions) {
+      return snapshot.upstreamVersions;
+    }
+    return snapshot.upstreamVersion ? { [config.source.type]: snapshot.upstreamVersion } : {};
+  }
+
+  /**
+   * Tell the refresh worker the dataset it prepared is live, then snapshot
+   * it. The worker still holds the parsed data it built the index from,
+   * so it writes the file.
+   */
+  async commitDataset() {
+    try {
+      await RefreshWorker.commit({
+        dataVersion: this.lastUpdated,
+        totalProblems: this.totalProblems,
+        totalCompanies: this.totalCompanies,
+        changeHistory: ChangeTracker.getHistory(),
+        upstreamVersions: this.upstreamVersions
+      });
+    } catch (error) {
+      // The live index is already swapped in; a missing snapshot only costs us offline startup
+      logger.error('Failed to commit and snapshot the new dataset:', error);
+    }
+  }
+
+  /**
+   * Fetch, parse and index a fresh dataset, then swap it in if it passes
+   * validation against the live one. `onProgress(phase, details)` is
+   * called as the refresh moves through the fetch, parse, index and
+   * validate phases. Pass `force` to skip validation thresholds and
+   * re-download even if upstream looks unchanged; an empty dataset is
+   * rejected regardless.
+   * Aborting `signal` cancels the refresh at any point before the new
+   * data goes live, rejecting with the signal's reason.
+   * Callers are expected to serialize refreshes (see RefreshJobs).
+   * Resolves to { changed }, false when no source had moved.
+   *
+   * Everything up to a validated index and its change diff runs in the
+   * refresh worker thread (see RefreshWorker), so requests keep being
+   * served meanwhile.
+   */
+  async updateData({ onProgress = () => {}, force = false, signal = null } = {}) {
+    try {
+      const live = this.lastUpdated
+        ? { dataVersion: this.lastUpdated, totalProblems: this.totalProblems, totalCompanies: this.totalCompanies }
+        : null;
+      const prepared = await RefreshWorker.prepare({ force, upstreamVersions: this.upstreamVersions, live }, { signal, onProgress });
+
+      if (!prepared.changed) {
+        logger.info('Upstream data unchanged, keeping current dataset');
+        this.upstreamVersions = prepared.versions;
+        onProgress('done', { unchanged: true });
+        return { changed: false };
+      }
+
+      const { validation, rejected } = prepared;
+      this.lastValidation = {
+        status: validation.valid ? 'accepted' : (rejected ? 'rejected' : 'forced'),
+        at: new Date().toISOString(),
+        reasons: validation.reasons,
+        metrics: validation.metrics
+      };
+
+      if (rejected) {
+        const error = new Error(`Dataset rejected: ${validation.reasons.join('; ')}`);
+        error.code = 'DATASET_REJECTED';
+        error.reasons = validation.reasons;
+        throw error;
+      }
+
+      // Last point a refresh can be cancelled; after the swap it runs to completion
+      if (signal) signal.throwIfAborted();
+
+      const previousVersion = this.lastUpdated;
+      this.swapIndex(prepared.index, {
+        dataVersion: new Date().toISOString(),
+        dataSource: 'live'
+      });
+      this.upstreamVersions = prepared.versions;
+      logger.info(`Data update complete. Total problems: ${this.totalProblems}, Companies: ${this.totalCompanies}`);
+      this.emit('updated', this.getStatus());
+
+      const { changes } = prepared;
+      if (previousVersion && changes && Object.values(changes).some(items => items.length > 0)) {
+        ChangeTracker.record(previousVersion, this.lastUpdated, changes);
+      }
+
+      await this.commitDataset();
+      onProgress('done', { problems: this.totalProblems, companies: this.totalCompanies });
+      return { changed: true };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        logger.info('Data update cancelled');
+      } else {
+        logger.error('Failed to update data:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The fetch, parse, index and validate half of a refresh, run by the
+   * refresh worker thread. `sources` come from createSources, `sourceCache`
+   * maps source name -> { parsedData, stats, updatedAt } behind the live
+   * data and `upstreamVersions` are the versions the live data came from.
+   * `live` holds the live dataset's totalProblems and totalCompanies to
+   * validate against (null on first load), and `previousMap` its
+   * problemMap to diff against (null to skip the diff).
+   *
+   * Resolves to { changed: false, versions } when no source moved. Else
+   * to { changed: true, versions, validation, rejected }, plus, unless
+   * rejected, { parsedData, parsedSources, stats, index, changes } where
+   * parsedSources holds the sourceCache entries of freshly fetched
+   * sources. The cache is left alone; the caller updates it once the
+   * dataset goes live.
+   */
+  async prepareDataset({
+    sources,
+    sourceCache,
+    force = false,
+    upstreamVersions = {},
+    live = null,
+    previousMap = null,
+    signal = null,
+    onProgress = () => {}
+  }) {
+    onProgress('fetch', {});
+    const fetched = await this.fetchSources(sources, sourceCache, upstreamVersions, force, signal);
+    const versions = Object.fromEntries(fetched.map(result => [result.name, result.version]));
+
+    if (fetched.every(result => !result.repoData)) {
+      return { changed: false, versions };
+    }
+
+    const { parsedData, parsedSources, stats } = await this.parseSources(fetched, sourceCache, onProgress, signal);
+    if (signal) signal.throwIfAborted();
+
+    logger.info('Building problem index...');
+    onProgress('index', {});
+    const index = this.buildProblemIndex(parsedData);
+
+    onProgress('validate', { problems: index.totalProblems });
+    const validation = DatasetValidator.validate(index, live, stats);
+    const rejected = !validation.valid && (!force || validation.fatal);
+    if (rejected) {
+      return { changed: true, versions, validation, rejected };
+    }
+    if (signal) signal.throwIfAborted();
+
+    const changes = previousMap ? ChangeTracker.diff(previousMap, index.problemMap) : null;
+
+    return { changed: true, versions, validation, rejected, parsedData, parsedSources, stats, index, changes };
+  }
+
+  /**
+   * Fetch every source, passing the version the live data came from so
+   * unchanged sources can skip their download. If anything changed, the
+   * unchanged sources still need data for the merge: reuse what they gave
+   * last time, or fetch them in full when that isn't in memory.
+   */
+  async fetchSources(sources, sourceCache, upstreamVersions, force, signal = null) {
+    const results = [];
+
+    for (const { name, priority, source } of sources) {
+      logger.info(`Fetching data from ${name} (${source.describe()})...`);
+      const since = force ? null : upstreamVersions[name] || null;
+      results.push({ name, priority, source, ...await source.fetch({ since, signal }) });
+    }
+
+    if (results.some(result => result.repoData)) {
+      for (const result of results) {
+        if (!result.repoData && !sourceCache.has(result.name)) {
+          logger.info(`Fetching unchanged source ${result.name} in full for the merge...`);
+          Object.assign(result, await result.source.fetch({ since: null, signal }));
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse freshly fetched sources and merge them with the cached parse of
+   * unchanged ones. Returns { parsedData, parsedSources, stats } with stats
+   * summed over every source.
+   */
+  async parseSources(fetched, sourceCache, onProgress, signal = null) {
+    const fresh = fetched.filter(result => result.repoData);
+    const companies = fresh.reduce((sum, result) => sum + Object.keys(result.repoData).length, 0);
+    const totalFiles = fresh.reduce((sum, result) => sum + Object.values(result.repoData)
+      .reduce((count, timeRanges) => count + Object.keys(timeRanges).length, 0), 0);
+    onProgress('parse', { companies, totalFiles, parsedFiles: 0 });
+
+    logger.info('Parsing CSV files...');
+    let parsedBefore = 0;
+    const parsedSources = new Map();
+    for (const result of fresh) {
+      const { parsedData, stats } = await CSVParser.parseAllCSVs(result.repoData,
+        (progress) => onProgress('parse', { parsedFiles: parsedBefore + progress.parsedFiles, totalFiles }), signal);
+      parsedBefore += stats.totalFiles;
+      parsedSources.set(result.name, { parsedData, stats, updatedAt: result.updatedAt || null });
+    }
+
+    const datasets = fetched.map(result => ({
+      name: result.name,
+      priority: result.priority,
+      ...(parsedSources.get(result.name) || sourceCache.get(result.name))
+    }));
+
+    const stats = { totalFiles: 0, failedFiles: 0, totalRows: 0, rowErrors: 0 };
+    for (const dataset of datasets) {
+      for (const key of Object.keys(stats)) {
+        stats[key] += dataset.stats[key];
+      }
+    }
+
+    if (datasets.length > 1) {
+      logger.info(`Merging ${datasets.length} sources (policy: ${config.merge.policy})...`);
+    }
+    return { parsedData: SourceMerger.merge(datasets, config.merge.policy), parsedSources, stats };
+  }
+
+  /**
+   * Make a built index live. Every field is replaced in one synchronous
+   * step, so requests never see a mix of old and new data.
+   */
+  swapIndex(index, { dataVersion, dataSource }) {
+    this.problemMap = index.problemMap;
+    this.titleMap = index.titleMap;
+    this.idMap = index.idMap;
+    this.aliasMap = index.aliasMap;
+    this.companyMap = index.companyMap;
+    this.searchIndex = index.searchIndex;
+    this.totalProblems = index.totalProblems;
+    this.totalCompanies = index.totalCompanies;
+    this.lastUpdated = dataVersion;
+    this.dataSource = dataSource;
+  }
+
+  /**
+   * Build lookup structures for a parsed dataset without touching the
+   * live data
+   */
+  buildProblemIndex(parsedData) {
+    const problemMap = new Map();
+    const titleMap = new Map();
+    const idMap = new Map();
+    const aliasMap = new Map(Normalizer.slugAliases);
+    const companyMap = new Map();
+
+    // Process each company's data, folding aliased folders into one company
+    for (const [rawCompanyName, timeRanges] of Object.entries(parsedData)) {
+      const canonicalName = CompanyRegistry.canonicalize(rawCompanyName);
+      const companyKey = CompanyRegistry.toKey(canonicalName);
+      if (!companyMap.has(companyKey)) {
+        companyMap.set(companyKey, {
+          name: canonicalName,
+          sourceNames: new Set(),
+          timeRanges: new Set(),
+          slugs: new Set()
+        });
+      }
+      const companyData = companyMap.get(companyKey);
+      const companyName = companyData.name;
+      companyData.sourceNames.add(rawCompanyName);
+      Object.keys(timeRanges).forEach(range => companyData.timeRanges.add(range));
+
+      for (const [timeRange, problems] of Object.entries(timeRanges)) {
+        for (const problem of problems) {
+          // Prefer the official slug from the problem link; titles don't always map cleanly
+          const titleSlug = Normalizer.titleToSlug(problem.title);
+          const slug = Normalizer.slugFromUrl(problem.link) || titleSlug;
+          const normalizedTitle = Normalizer.normalizeTitle(problem.title);
+
+          if (titleSlug !== slug && !aliasMap.has(titleSlug)) {
+            aliasMap.set(titleSlug, slug);
+          }
+
+          // Initialize problem entry if it doesn't exist
+          if (!problemMap.has(slug)) {
+            problemMap.set(slug, {
+              problem: problem.title,
+              slug: slug,
+              id: null,
+              difficulty: null,
+              acceptanceRate: null,
+              link: null,
+              topics: [],
+              companies: []
+            });
+            titleMap.set(normalizedTitle, slug);
+          }
+
+          // Get existing problem data
+          const problemData = problemMap.get(slug);
+          companyData.slugs.add(slug);
+          this.mergeProblemDetails(problemData, problem);
+          if (problemData.id !== null) {
+            idMap.set(problemData.id, slug);
+          }
+          
+          // Check if company already exists in this problem's data
+          let companyEntry = problemData.companies.find(c => c.name === companyName);
+          
+          if (!companyEntry) {
+            companyEntry = {
+              name: companyName,
+              frequency: 0,
+              frequencies: {},
+              timeRanges: {},
+              sources: []
+            };
+            problemData.companies.push(companyEntry);
+          }
+
+          // Which upstream sources back this company's interest in the problem
+          for (const sourceName of problem.sources || []) {
+            if (!companyEntry.sources.includes(sourceName)) {
+              companyEntry.sources.push(sourceName);
+            }
+          }
+
+          // Update frequency and time range data
+          if (problem.frequency) {
+            companyEntry.frequency = Math.max(companyEntry.frequency, problem.frequency);
+            companyEntry.frequencies[timeRange] = Math.max(companyEntry.frequencies[timeRange] || 0, problem.frequency);
+          }
+          
+          companyEntry.timeRanges[timeRange] = true;
+          
+          // Set last_seen to the shortest time range
+          const ranges = Object.keys(companyEntry.timeRanges);
+          companyEntry.last_seen = this.getShortestRange(ranges);
+        }
+      }
+    }
+
+    // Score each company entry and sort companies by frequency for each problem
+    for (const problemData of problemMap.values()) {
+      for (const companyEntry of problemData.companies) {
+        companyEntry.trend = TrendAnalyzer.computeTrend(companyEntry.frequencies);
+        companyEntry.score = TrendAnalyzer.computeScore(companyEntry.frequencies);
+      }
+      problemData.companies.sort((a, b) => b.frequency - a.frequency);
+    }
+
+    // Title-derived aliases must not shadow a real problem's slug
+    for (const alias of aliasMap.keys()) {
+      if (problemMap.has(alias)) {
+        aliasMap.delete(alias);
+      }
+    }
+
+    return {
+      problemMap,
+      titleMap,
+      idMap,
+      aliasMap,
+      companyMap,
+      searchIndex: SearchIndex.build(problemMap),
+      totalProblems: problemMap.size,
+      totalCompanies: companyMap.size
+    };
+  }
+
+  /**
+   * Fill in problem details from a CSV row. The first file that has a value
+   * wins; topics are combined across files.
+   */
+  mergeProblemDetails(problemData, problem) {
+    problemData.id = problemData.id || problem.id || null;
+    problemData.difficulty = problemData.difficulty || problem.difficulty || null;
+    problemData.link = problemData.link || problem.link || null;
+
+    if (problemData.acceptanceRate === null && typeof problem.acceptanceRate === 'number') {
+      problemData.acceptanceRate = problem.acceptanceRate;
+    }
+
+    for (const topic of problem.topics || []) {
+      if (!problemData.topics.includes(topic)) {
+        problemData.topics.push(topic);
+      }
+    }
+  }
+
+  getShortestRange(ranges) {
+    return TimeRanges.shortest(ranges);
+  }
+
+  queryBySlug(slug, timeRange = null, filters = {}, sort = 'frequency') {
+    return this.queryMatch(this.resolveProblem(slug), timeRange, filters, sort);
+  }
+
+  queryByTitle(title, timeRange = null, filters = {}, sort = 'frequency') {
+    const slug = this.titleMap.get(Normalizer.normalizeTitle(title));
+    const match = slug ? { slug, strategy: 'title' } : this.resolveProblem(title);
+
+    return this.queryMatch(match, timeRange, filters, sort);
+  }
+
+  /**
+   * Whether any question numbers are indexed. They only come from sources
+   * whose CSVs have an ID column (see CSVParser.extractId); the upstream
+   * repository's files have none, so lookups by ID can't match anything.
+   */
+  hasQuestionIds() {
+    return this.idMap.size > 0;
+  }
+
+  /**
+   * Look up a problem by question number; see hasQuestionIds
+   */
+  queryById(id, timeRange = null, filters = {}, sort = 'frequency') {
+    const slug = this.idMap.get(parseInt(id, 10));
+    const match = slug ? { slug, strategy: 'id' } : null;
+
+    return this.queryMatch(match, timeRange, filters, sort);
+  }
+
+  queryByUrl(url, timeRange = null, filters = {}, sort = 'frequency') {
+    const match = Normalizer.slugFromUrl(url) ? this.resolveProblem(url) : null;
+
+    return this.queryMatch(match, timeRange, filters, sort);
+  }
+
+  /**
+   * Resolve a slug, old slug, title or problem URL to { slug, strategy }
+   */
+  resolveProblem(input) {
+    return Normalizer.findBestMatch(input, this.titleMap, this.problemMap, this.aliasMap);
+  }
+
+  /**
+   * Shape a resolved problem for the API, reporting which strategy matched
+   */
+  queryMatch(match, timeRange, filters, sort) {
+    if (!match) {
+      return null;
+    }
+
+    const problemData = this.problemMap.get(match.slug);
+    if (!problemData || !this.matchesFilters(problemData, filters)) {
+      return null;
+    }
+
+    const result = this.filterByTimeRange(problemData, timeRange, sort);
+    result.matchedBy = match.strategy;
+    return result;
+  }
+
+  /**
+   * Check a problem against optional difficulty / topic filters
+   * (both case-insensitive)
+   */
+  matchesFilters(problemData, { difficulty, topic } = {}) {
+    if (difficulty && (problemData.difficulty || '').toLowerCase() !== difficulty.toLowerCase()) {
+      return false;
+    }
+
+    if (topic) {
+      const normalizedTopic = topic.toLowerCase().trim();
+      if (!problemData.topics.some(t => t.toLowerCase() === normalizedTopic)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * List a company's problems ranked by frequency (or score / title / recency),
+   * restricted to a time range and paginated.
+   */
+  queryByCompany(companyName, { range = null, sort = 'frequency', page = 1, limit = 50 } = {}) {
+    const companyData = this.getCompany(companyName);
+
+    if (!companyData) {
+      return null;
+    }
+
+    const includedRanges = range ? this.resolveIncludedRanges(range) : null;
+    const problems = this.getCompanyEntries(companyData, includedRanges)
+      .map(({ problemData, companyEntry }) => ({
+        problem: problemData.problem,
+        slug: problemData.slug,
+        frequency: companyEntry.frequency,
+        last_seen: companyEntry.last_seen,
+        trend: companyEntry.trend,
+        score: companyEntry.score,
+        sources: companyEntry.sources
+      }));
+
+    problems.sort(this.getCompanyProblemComparator(sort));
+
+    const total = problems.length;
+    const start = (page - 1) * limit;
+
+    return {
+      company: companyData.name,
+      range: range || TimeRanges.widestParam,
+      sort: sort,
+      page: page,
+      limit: limit,
+      total: total,
+      totalPages: Math.ceil(total / limit),
+      problems: problems.slice(start, start + limit)
+    };
+  }
+
+  /**
+   * A company's { problemData, companyEntry } pairs, optionally limited to
+   * problems seen within `includedRanges`. With ranges, each companyEntry
+   * is projected onto them (see projectCompanyEntry), so its frequency and
+   * score only count those ranges.
+   */
+  getCompanyEntries(companyData, includedRanges = null) {
+    const entries = [];
+
+    for (const slug of companyData.slugs) {
+      const problemData = this.problemMap.get(slug);
+      const companyEntry = problemData.companies.find(c => c.name === companyData.name);
+
+      if (!includedRanges) {
+        entries.push({ problemData, companyEntry });
+      } else if (includedRanges.some(r => companyEntry.timeRanges[r])) {
+        entries.push({ problemData, companyEntry: this.projectCompanyEntry(companyEntry, includedRanges) });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Problems asked by all (or any) of several companies, ranked by how many
+   * of them ask it and then by combined frequency. Names are resolved
+   * through company aliases, and repeats of one company count once.
+   * Returns { unknownCompanies } if any name doesn't resolve, or
+   * { tooFewCompanies } with the distinct companies if fewer than two remain.
+   */
+  queryOverlap(companyNames, { mode = 'all', range = null, limit = 50, offset = 0 } = {}) {
+    const companies = [];
+    const unknownCompanies = [];
+
+    for (const name of companyNames) {
+      const companyData = this.getCompany(name);
+      if (!companyData) {
+        unknownCompanies.push(name);
+      } else if (!companies.includes(companyData)) {
+        companies.push(companyData);
+      }
+    }
+
+    if (unknownCompanies.length > 0) {
+      return { unknownCompanies };
+    }
+
+    if (companies.length < 2) {
+      return { tooFewCompanies: companies.map(companyData => companyData.name) };
+    }
+
+    const includedRanges = this.resolveIncludedRanges(range);
+
+    // In "all" mode every match has to come from the smallest company
+    const candidates = new Set();
+    if (mode === 'all') {
+      const smallest = companies.reduce((a, b) => (a.slugs.size <= b.slugs.size ? a : b));
+      smallest.slugs.forEach(slug => candidates.add(slug));
+    } else {
+      companies.forEach(companyData => companyData.slugs.forEach(slug => candidates.add(slug)));
+    }
+
+    const names = new Set(companies.map(companyData => companyData.name));
+    const results = [];
+
+    for (const slug of candidates) {
+      const problemData = this.problemMap.get(slug);
+      const entries = problemData.companies
+        .filter(company => names.has(company.name) &&
+          (!range || includedRanges.some(r => company.timeRanges[r])))
+        .map(company => this.projectCompanyEntry(company, includedRanges));
+
+      if (entries.length === 0 || (mode === 'all' && entries.length < companies.length)) {
+        continue;
+      }
+
+      results.push({
+        problem: problemData.problem,
+        slug: problemData.slug,
+        difficulty: problemData.difficulty,
+        link: problemData.link,
+        matched: entries.length,
+        combinedFrequency: entries.reduce((sum, entry) => sum + entry.frequency, 0),
+        companies: entries
+      });
+    }
+
+    results.sort((a, b) => b.matched - a.matched ||
+      b.combinedFrequency - a.combinedFrequency ||
+      a.problem.localeCompare(b.problem));
+
+    return {
+      companies: companies.map(companyData => companyData.name),
+      mode: mode,
+      range: range || TimeRanges.widestParam,
+      total: results.length,
+      offset: offset,
+      limit: limit,
+      results: results.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Build a week-by-week prep schedule for a company
+   */
+  generateStudyPlan(companyName, { weeks = 4, perDay = 3, seed = 'default' } = {}) {
+    const companyData = this.getCompany(companyName);
+
+    if (!companyData) {
+      return null;
+    }
+
+    return StudyPlanner.generatePlan({
+      company: companyData.name,
+      entries: this.getCompanyEntries(companyData),
+      rangeCount: companyData.timeRanges.size,
+      dataVersion: this.lastUpdated,
+      weeks,
+      perDay,
+      seed
+    });
+  }
+
+  /**
+   * Look up indexed company data by any of its names or aliases
+   */
+  getCompany(name) {
+    return this.companyMap.get(CompanyRegistry.resolveKey(name)) || null;
+  }
+
+  /**
+   * Every known company with its problem count and available time ranges
+   */
+  listCompanies({ sort = 'name' } = {}) {
+    const companies = [...this.companyMap.values()].map(companyData => this.summarizeCompany(companyData));
+
+    if (sort === 'problems') {
+      companies.sort((a, b) => b.problemCount - a.problemCount || a.name.localeCompare(b.name));
+    } else {
+      companies.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    return companies;
+  }
+
+  /**
+   * A company's name, aliases (configured and as seen upstream), problem
+   * count and available time ranges
+   */
+  summarizeCompany(companyData) {
+    const aliases = new Set(CompanyRegistry.getAliases(companyData.name));
+    for (const sourceName of companyData.sourceNames) {
+      if (sourceName !== companyData.name) {
+        aliases.add(sourceName);
+      }
+    }
+
+    return {
+      name: companyData.name,
+      aliases: [...aliases],
+      problemCount: companyData.slugs.size,
+      timeRanges: this.sortRanges([...companyData.timeRanges])
+    };
+  }
+
+  /**
+   * Position of a time range from most to least recent
+   */
+  getRangeRank(range) {
+    return TimeRanges.rank(range);
+  }
+
+  sortRanges(ranges) {
+    return TimeRanges.sort(ranges);
+  }
+
+  getCompanyProblemComparator(sort) {
+    const byTitle = (a, b) => a.problem.localeCompare(b.problem);
+
+    if (sort === 'title') {
+      return byTitle;
+    }
+
+    if (sort === 'score') {
+      return (a, b) => b.score - a.score || b.frequency - a.frequency || byTitle(a, b);
+    }
+
+    if (sort === 'recent') {
+      return (a, b) => this.getRangeRank(a.last_seen) - this.getRangeRank(b.last_seen) || b.frequency - a.frequency || byTitle(a, b);
+    }
+
+    return (a, b) => b.frequency - a.frequency || byTitle(a, b);
+  }
+
+  /**
+   * Range keys covered by an API range param ("90" -> 30, 60 and 90 days)
+   */
+  resolveIncludedRanges(timeRange) {
+    return TimeRanges.through(timeRange);
+  }
+
+  filterByTimeRange(problemData, timeRange, sort = 'frequency') {
+    if (!timeRange) {
+      const cloned = JSON.parse(JSON.stringify(problemData)); // Deep clone
+      if (sort === 'score') {
+        cloned.companies.sort((a, b) => b.score - a.score);
+      }
+      return cloned;
+    }
+
+    // Determine which ranges to include based on target
+    const includedRanges = this.resolveIncludedRanges(timeRange);
+
+    const filtered = {
+      problem: problemData.problem,
+      slug: problemData.slug,
+      id: problemData.id,
+      difficulty: problemData.difficulty,
+      acceptanceRate: problemData.acceptanceRate,
+      link: problemData.link,
+      topics: [...problemData.topics],
+      companies: problemData.companies
+        .filter(company => {
+          return includedRanges.some(range => company.timeRanges[range]);
+        })
+        .map(company => this.projectCompanyEntry(company, includedRanges))
+    };
+
+    const sortKey = sort === 'score' ? 'score' : 'frequency';
+    filtered.companies.sort((a, b) => b[sortKey] - a[sortKey]);
+
+    return filtered;
+  }
+
+  /**
+   * A company entry as seen through a time range filter: frequency and
+   * score only count the ranges inside the filter
+   */
+  projectCompanyEntry(company, includedRanges) {
+    const frequencies = {};
+    for (const range of includedRanges) {
+      if (company.frequencies[range] !== undefined) {
+        frequencies[range] = company.frequencies[range];
+      }
+    }
+    const rangeFrequencies = Object.values(frequencies);
+
+    return {
+      name: company.name,
+      frequency: rangeFrequencies.length > 0 ? Math.max(...rangeFrequencies) : company.frequency,
+      frequencies: frequencies,
+      last_seen: company.last_seen,
+      trend: company.trend,
+      score: TrendAnalyzer.computeScore(frequencies),
+      sources: company.sources
+    };
+  }
+
+  /**
+   * Ranked search over titles and slugs. Returns { total, results } where
+   * `total` counts every match so callers can page with `offset`.
+   */
+  searchProblems(query, { limit = 10, offset = 0, filters = {} } = {}) {
+    const { total, results } = this.searchIndex.search(query, {
+      limit,
+      offset,
+      filter: (slug) => this.matchesFilters(this.problemMap.get(slug), filters)
+    });
+
+    return {
+      total: total,
+      results: results.map(({ slug, score }) => {
+        const data = this.problemMap.get(slug);
+        return {
+          problem: data.problem,
+          slug: data.slug,
+          id: data.id,
+          difficulty: data.difficulty,
+          acceptanceRate: data.acceptanceRate,
+          link: data.link,
+          topics: [...data.topics],
+          companyCount: data.companies.length,
+          score: score
+        };
+      })
+    };
+  }
+
+  /**
+   * Lightweight title autocomplete for the extension's search box
+   */
+  suggestProblems(query, limit = 8) {
+    return this.searchIndex.suggest(query, { limit }).map(slug => {
+      const data = this.problemMap.get(slug);
+      return {
+        problem: data.problem,
+        slug: data.slug,
+        difficulty: data.difficulty
+      };
+    });
+  }
+
+  getStatus() {
+    return {
+      lastUpdated: this.lastUpdated,
+      dataSource: this.dataSource,
+      totalProblems: this.totalProblems,
+      totalCompanies: this.totalCompanies,
+      lastValidation: this.lastValidation
+    };
+  }
+}
+
 module.exports = new DataService();
\ No newline at end of file
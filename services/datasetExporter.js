@@ -0,0 +1,265 @@
+const Papa = require('papaparse');
+const DataService = require('./dataService');
+const TimeRanges = require('./timeRanges');
+const LocalDumpSource = require('./sources/localDumpSource');
+
+// Rows per chunk handed to the response stream
+const CHUNK_ROWS = 100;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const CSV_FIELDS = [
+  'Company', 'ID', 'Title', 'Slug', 'Difficulty', 'Frequency', 'Acceptance Rate',
+  'Last Seen', 'Trend', 'Score', 'Topics', 'Link', 'Sources'
+];
+
+/**
+ * Serializes the live index as CSV, JSON, NDJSON or Markdown.
+ *
+ * Every export is a generator of text chunks, so callers can stream it
+ * without holding the whole payload in memory. Generators read from the
+ * maps that were live when they started; a refresh swapping in new data
+ * mid-export doesn't mix versions.
+ */
+class DatasetExporter {
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  isValidFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  contentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  fileName({ format, company = null, range = null, dump = false }) {
+    const parts = ['leetcode', dump ? 'dump' : this.slugify(company ? company.name : 'all')];
+    if (range) {
+      parts.push(range);
+    }
+    return `${parts.join('-')}.${FORMATS[format].extension}`;
+  }
+
+  slugify(value) {
+    return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'company';
+  }
+
+  /**
+   * One flat row per company and problem, company by company (A-Z) and
+   * most frequent first. `company` is a company record from
+   * DataService.getCompany, or null for every company; `range` is an API
+   * range param.
+   */
+  * rows({ company = null, range = null } = {}) {
+    const { problemMap, companyMap } = DataService;
+    const includedRanges = range ? DataService.resolveIncludedRanges(range) : null;
+    const companies = company
+      ? [company]
+      : [...companyMap.values()].sort((a, b) => a.name.localeCompare(b.name));
+    const compare = DataService.getCompanyProblemComparator('frequency');
+
+    for (const companyData of companies) {
+      const entries = [];
+
+      for (const slug of companyData.slugs) {
+        const problemData = problemMap.get(slug);
+        const companyEntry = problemData.companies.find(c => c.name === companyData.name);
+
+        if (includedRanges && !includedRanges.some(r => companyEntry.timeRanges[r])) {
+          continue;
+        }
+
+        const entry = includedRanges ? DataService.projectCompanyEntry(companyEntry, includedRanges) : companyEntry;
+        entries.push({ problem: problemData.problem, problemData, ...entry });
+      }
+
+      entries.sort(compare);
+
+      for (const entry of entries) {
+        const { problemData } = entry;
+        yield {
+          company: companyData.name,
+          id: problemData.id,
+          title: problemData.problem,
+          slug: problemData.slug,
+          difficulty: problemData.difficulty,
+          frequency: entry.frequency,
+          acceptanceRate: problemData.acceptanceRate,
+          lastSeen: entry.last_seen,
+          trend: entry.trend,
+          score: entry.score,
+          topics: [...problemData.topics],
+          link: problemData.link,
+          sources: [...(entry.sources || [])]
+        };
+      }
+    }
+  }
+
+  /**
+   * Text chunks of an export in `format` (see `formats`)
+   */
+  * export(format, { company = null, range = null } = {}) {
+    const rows = this.rows({ company, range });
+    const meta = {
+      dataVersion: DataService.lastUpdated,
+      company: company ? company.name : null,
+      range: range || null
+    };
+
+    switch (format) {
+      case 'csv':
+        yield* this.csv(rows);
+        break;
+      case 'json':
+        yield* this.json(rows, meta);
+        break;
+      case 'ndjson':
+        yield* this.batch(rows, row => `${JSON.stringify(row)}\n`);
+        break;
+      case 'md':
+        yield* this.markdown(rows, meta);
+        break;
+      default:
+        throw new Error(`Unknown export format "${format}"`);
+    }
+  }
+
+  * csv(rows) {
+    yield Papa.unparse([CSV_FIELDS], { newline: '\n' }) + '\n';
+    yield* this.batch(rows, row => Papa.unparse([[
+      row.company,
+      row.id,
+      row.title,
+      row.slug,
+      row.difficulty,
+      row.frequency,
+      row.acceptanceRate,
+      row.lastSeen,
+      row.trend,
+      row.score,
+      row.topics.join(', '),
+      row.link,
+      row.sources.join(', ')
+    ]], { newline: '\n' }) + '\n');
+  }
+
+  * json(rows, meta) {
+    yield `${JSON.stringify(meta).slice(0, -1)},"rows":[`;
+    let first = true;
+    yield* this.batch(rows, row => {
+      const text = `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      first = false;
+      return text;
+    });
+    yield '\n]}\n';
+  }
+
+  * markdown(rows, meta) {
+    const cell = value => (value === null || value === undefined ? '' : String(value))
+      .replace(/\\/g, '\\\\')
+      .replace(/\|/g, '\\|')
+      .replace(/[\r\n]+/g, ' ');
+
+    // Without an ID column in the data the "#" column would always be empty
+    const withIds = DataService.hasQuestionIds();
+    const columns = ['Title', 'Difficulty', 'Frequency', 'Acceptance', 'Last seen', 'Trend', 'Topics'];
+    if (withIds) {
+      columns.unshift('#');
+    }
+
+    yield `# LeetCode company-wise problems\n\n`;
+    yield `- Data version: ${meta.dataVersion || 'unknown'}\n`;
+    yield `- Range: ${meta.range || 'all ranges'}\n`;
+
+    let currentCompany = null;
+    yield* this.batch(rows, row => {
+      let text = '';
+      if (row.company !== currentCompany) {
+        currentCompany = row.company;
+        text += `\n## ${cell(row.company)}\n\n`;
+        text += `| ${columns.join(' | ')} |\n`;
+        text += `|${columns.map(() => '---').join('|')}|\n`;
+      }
+
+      const title = row.link ? `[${cell(row.title)}](${row.link})` : cell(row.title);
+      const acceptance = typeof row.acceptanceRate === 'number'
+        ? `${Math.round(row.acceptanceRate * 1000) / 10}%`
+        : '';
+      const cells = [title, cell(row.difficulty), cell(row.frequency), acceptance,
+        cell(row.lastSeen), cell(row.trend), cell(row.topics.join(', '))];
+      if (withIds) {
+        cells.unshift(cell(row.id));
+      }
+      return text + `| ${cells.join(' | ')} |\n`;
+    });
+  }
+
+  /**
+   * Full dump as NDJSON: a header line, then one line per problem with
+   * every company's per-range frequencies. The local-dump data source
+   * reads this back, so another instance can serve the same dataset
+   * without reaching upstream.
+   */
+  * dump() {
+    const { problemMap } = DataService;
+
+    yield `${JSON.stringify({
+      type: 'header',
+      format: LocalDumpSource.FORMAT,
+      version: LocalDumpSource.VERSION,
+      dataVersion: DataService.lastUpdated,
+      exportedAt: new Date().toISOString(),
+      ranges: TimeRanges.keys
+    })}\n`;
+
+    yield* this.batch(problemMap.values(), problemData => `${JSON.stringify({
+      type: 'problem',
+      slug: problemData.slug,
+      title: problemData.problem,
+      id: problemData.id,
+      difficulty: problemData.difficulty,
+      acceptanceRate: problemData.acceptanceRate,
+      link: problemData.link,
+      topics: problemData.topics,
+      companies: problemData.companies.map(company => ({
+        name: company.name,
+        // Ranges the company listed the problem in; null when no frequency was given
+        ranges: Object.fromEntries(Object.keys(company.timeRanges)
+          .map(range => [range, company.frequencies[range] ?? null])),
+        sources: company.sources
+      }))
+    })}\n`);
+  }
+
+  /**
+   * Join the text of CHUNK_ROWS items at a time so the response isn't
+   * written one tiny chunk per row
+   */
+  * batch(items, serialize) {
+    let chunk = '';
+    let count = 0;
+
+    for (const item of items) {
+      chunk += serialize(item);
+      if (++count === CHUNK_ROWS) {
+        yield chunk;
+        chunk = '';
+        count = 0;
+      }
+    }
+
+    if (chunk) {
+      yield chunk;
+    }
+  }
+}
+
+module.exports = new DatasetExporter();
@@ -0,0 +1,97 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Decides whether a freshly built dataset is safe to replace the live one.
+ *
+ * Upstream layout changes tend to show up as a sudden drop in problems or
+ * companies, companies missing their range files, or CSVs that no longer
+ * parse, so each of those has a threshold.
+ */
+class DatasetValidator {
+  constructor() {
+    this.thresholds = { ...config.validation };
+  }
+
+  /**
+   * Compare a candidate index with the live one (null on first load).
+   * Returns { valid, fatal, reasons, metrics }. `fatal` is set when the
+   * dataset is unusable whatever the thresholds (it is empty), so a
+   * forced refresh must not swap it in either.
+   */
+  validate(candidate, live, stats) {
+    const { thresholds } = this;
+    const reasons = [];
+    let fatal = false;
+
+    const metrics = {
+      problems: candidate.totalProblems,
+      companies: candidate.totalCompanies,
+      previousProblems: live ? live.totalProblems : null,
+      previousCompanies: live ? live.totalCompanies : null,
+      problemDropRatio: 0,
+      companyDropRatio: 0,
+      companiesMissingRanges: 0,
+      missingRangeRatio: 0,
+      fileErrorRatio: stats.totalFiles > 0 ? stats.failedFiles / stats.totalFiles : 0,
+      rowErrorRatio: stats.totalRows > 0 ? stats.rowErrors / stats.totalRows : 0
+    };
+
+    if (candidate.totalCompanies === 0 || candidate.totalProblems === 0) {
+      reasons.push('Dataset is empty');
+      fatal = true;
+    }
+
+    if (live && live.totalProblems > 0) {
+      metrics.problemDropRatio = Math.max(0, 1 - candidate.totalProblems / live.totalProblems);
+      if (metrics.problemDropRatio > thresholds.maxProblemDropRatio) {
+        reasons.push(`Problem count dropped ${this.percent(metrics.problemDropRatio)} ` +
+          `(${live.totalProblems} -> ${candidate.totalProblems}), limit is ${this.percent(thresholds.maxProblemDropRatio)}`);
+      }
+    }
+
+    if (live && live.totalCompanies > 0) {
+      metrics.companyDropRatio = Math.max(0, 1 - candidate.totalCompanies / live.totalCompanies);
+      if (metrics.companyDropRatio > thresholds.maxCompanyDropRatio) {
+        reasons.push(`Company count dropped ${this.percent(metrics.companyDropRatio)} ` +
+          `(${live.totalCompanies} -> ${candidate.totalCompanies}), limit is ${this.percent(thresholds.maxCompanyDropRatio)}`);
+      }
+    }
+
+    if (thresholds.requiredRanges.length > 0 && candidate.totalCompanies > 0) {
+      const missing = [...candidate.companyMap.values()]
+        .filter(companyData => thresholds.requiredRanges.some(range => !companyData.timeRanges.has(range)));
+
+      metrics.companiesMissingRanges = missing.length;
+      metrics.missingRangeRatio = missing.length / candidate.totalCompanies;
+
+      if (metrics.missingRangeRatio > thresholds.maxMissingRangeRatio) {
+        const sample = missing.slice(0, 5).map(companyData => companyData.name).join(', ');
+        reasons.push(`${missing.length} companies are missing required ranges ` +
+          `(${thresholds.requiredRanges.join(', ')}), e.g. ${sample}`);
+      }
+    }
+
+    if (metrics.fileErrorRatio > thresholds.maxFileErrorRatio) {
+      reasons.push(`${stats.failedFiles} of ${stats.totalFiles} CSV files failed to parse, ` +
+        `limit is ${this.percent(thresholds.maxFileErrorRatio)}`);
+    }
+
+    if (metrics.rowErrorRatio > thresholds.maxRowErrorRatio) {
+      reasons.push(`${stats.rowErrors} of ${stats.totalRows} CSV rows had parse errors, ` +
+        `limit is ${this.percent(thresholds.maxRowErrorRatio)}`);
+    }
+
+    if (reasons.length > 0) {
+      logger.warn(`Dataset failed validation: ${reasons.join('; ')}`);
+    }
+
+    return { valid: reasons.length === 0, fatal, reasons, metrics };
+  }
+
+  percent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+  }
+}
+
+module.exports = new DatasetValidator();
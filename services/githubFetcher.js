@@ -1,213 +1,384 @@
-const axios = require('axios');
-const AdmZip = require('adm-zip');
-const path = require('path');
-const fs = require('fs').promises;
-const logger = require('../utils/logger');
-
-class GitHubFetcher {
-  constructor() {
-    this.repoOwner = 'liquidslr';
-    this.repoName = 'leetcode-company-wise-problems';
-    this.zipUrl = `https://github.com/${this.repoOwner}/${this.repoName}/archive/refs/heads/main.zip`;
-    this.dataDir = path.join(__dirname, '../data');
-    this.rawDir = path.join(this.dataDir, 'raw');
-    
-    // Map actual file names to standardized time ranges
-    this.fileMapping = {
-      '1. Thirty Days.csv': '30-days',
-      '2. Three Months.csv': '90-days',
-      '3. Six Months.csv': '180-days',
-      '4. More Than Six Months.csv': 'all-time',
-      '5. All.csv': 'all-time',
-      // Fallback without numbers (just in case)
-      'Thirty Days.csv': '30-days',
-      'Three Months.csv': '90-days',
-      'Six Months.csv': '180-days',
-      'More Than Six Months.csv': 'all-time',
-      'All.csv': 'all-time'
-    };
-  }
-
-  async fetchRepository() {
-    try {
-      // Ensure directories exist
-      await fs.mkdir(this.dataDir, { recursive: true });
-      await fs.mkdir(this.rawDir, { recursive: true });
-
-      logger.info('Downloading repository ZIP from GitHub...');
-      const response = await axios({
-        method: 'get',
-        url: this.zipUrl,
-        responseType: 'arraybuffer',
-        timeout: 120000, // 2 minutes
-        maxContentLength: 100 * 1024 * 1024, // 100MB
-        headers: {
-          'User-Agent': 'LeetCode-Company-API/1.0',
-          'Accept': 'application/zip'
-        }
-      });
-
-      logger.info(`Downloaded ${(response.data.length / 1024 / 1024).toFixed(2)} MB`);
-      logger.info('Extracting ZIP file...');
-      
-      const zip = new AdmZip(response.data);
-      const zipEntries = zip.getEntries();
-
-      logger.info(`Total entries in ZIP: ${zipEntries.length}`);
-      
-      // DEBUG: Log first 20 entries to understand structure
-      logger.info('Sample of ZIP contents:');
-      zipEntries.slice(0, 20).forEach(entry => {
-        logger.info(`  ${entry.isDirectory ? '[DIR]' : '[FILE]'} ${entry.entryName}`);
-      });
-
-      const repoData = {};
-      let csvCount = 0;
-      let skippedCount = 0;
-
-      // Process each entry in the ZIP
-      for (const entry of zipEntries) {
-        // Skip directories
-        if (entry.isDirectory) {
-          continue;
-        }
-
-        // Only process CSV files
-        if (!entry.entryName.endsWith('.csv')) {
-          continue;
-        }
-        
-        logger.debug(`Processing CSV: ${entry.entryName}`);
-
-        // Parse the path structure
-        // Expected: leetcode-company-wise-problems-main/CompanyName/FileName.csv
-        const parts = entry.entryName.split('/');
-        
-        logger.debug(`  Path parts (${parts.length}): ${parts.join(' / ')}`);
-        
-        if (parts.length < 3) {
-          logger.debug(`Skipping invalid path: ${entry.entryName} (not enough parts)`);
-          skippedCount++;
-          continue;
-        }
-
-        // Extract company name (second to last part)
-        const companyName = parts[parts.length - 2];
-        
-        // Extract file name
-        const fileName = parts[parts.length - 1];
-
-        // Check if this is a valid file we want to process
-        const timeRange = this.fileMapping[fileName];
-        
-        if (!timeRange) {
-          logger.debug(`Skipping unrecognized file: ${fileName} in ${companyName}`);
-          skippedCount++;
-          continue;
-        }
-
-        // Initialize company data structure
-        if (!repoData[companyName]) {
-          repoData[companyName] = {};
-          logger.debug(`  New company: ${companyName}`);
-        }
-
-        // Get CSV content
-        const content = entry.getData().toString('utf8');
-        repoData[companyName][timeRange] = content;
-
-        csvCount++;
-        logger.info(`✓ Loaded: ${companyName}/${fileName} -> ${timeRange}`);
-      }
-
-      const companyCount = Object.keys(repoData).length;
-      logger.info(`✅ Successfully loaded ${csvCount} CSV files from ${companyCount} companies`);
-      logger.info(`Skipped ${skippedCount} files`);
-
-      if (companyCount === 0) {
-        logger.error('No company data found. Listing all CSV files found:');
-        zipEntries.forEach(entry => {
-          if (entry.entryName.endsWith('.csv')) {
-            logger.error(`  Found CSV: ${entry.entryName}`);
-          }
-        });
-        throw new Error('No company data found in repository. Check file structure.');
-      }
-
-      // Log sample of what was loaded
-      const sampleCompanies = Object.keys(repoData).slice(0, 5);
-      logger.info(`Sample companies: ${sampleCompanies.join(', ')}`);
-
-      return repoData;
-    } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        logger.error('GitHub download timed out. Please check your internet connection.');
-      } else if (error.response) {
-        logger.error(`GitHub API error: ${error.response.status} ${error.response.statusText}`);
-      } else {
-        logger.error('Failed to fetch repository:', error.message);
-      }
-      throw new Error(`GitHub fetch failed: ${error.message}`);
-    }
-  }
-
-  // Alternative method: Use GitHub API to fetch file list first
-  async fetchRepositoryViaAPI() {
-    try {
-      logger.info('Fetching repository tree via GitHub API...');
-      
-      const treeUrl = `https://api.github.com/repos/${this.repoOwner}/${this.repoName}/git/trees/main?recursive=1`;
-      
-      const treeResponse = await axios({
-        method: 'get',
-        url: treeUrl,
-        headers: {
-          'User-Agent': 'LeetCode-Company-API/1.0',
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      const repoData = {};
-      const csvFiles = treeResponse.data.tree.filter(item => 
-        item.type === 'blob' && item.path.endsWith('.csv')
-      );
-
-      logger.info(`Found ${csvFiles.length} CSV files, downloading...`);
-
-      for (const file of csvFiles) {
-        const parts = file.path.split('/');
-        if (parts.length < 2) continue;
-
-        const companyName = parts[parts.length - 2];
-        const fileName = parts[parts.length - 1];
-        const timeRange = this.fileMapping[fileName];
-
-        if (!timeRange) continue;
-
-        // Download individual file
-        const rawUrl = `https://raw.githubusercontent.com/${this.repoOwner}/${this.repoName}/main/${file.path}`;
-        
-        try {
-          const response = await axios.get(rawUrl);
-          
-          if (!repoData[companyName]) {
-            repoData[companyName] = {};
-          }
-          
-          repoData[companyName][timeRange] = response.data;
-          logger.debug(`✓ ${companyName}/${fileName}`);
-        } catch (err) {
-          logger.warn(`Failed to download ${file.path}: ${err.message}`);
-        }
-      }
-
-      logger.info(`✅ Successfully loaded data for ${Object.keys(repoData).length} companies`);
-      return repoData;
-    } catch (error) {
-      logger.error('GitHub API fetch failed:', error.message);
-      throw error;
-    }
-  }
-}
-
-module.exports = new GitHubFetcher();
\ No newline at end of file
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const path = require('path');
+const fs = require('fs').promises;
+const RepoLayout = require('./sources/repoLayout');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const USER_AGENT = 'LeetCode-Company-API/1.0';
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping
+ * results in input order. Stops picking up items once `signal` aborts.
+ */
+async function mapWithConcurrency(items, limit, fn, signal = null) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      if (signal) signal.throwIfAborted();
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Wait `ms`, rejecting with the abort reason as soon as `signal` aborts
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Downloads the upstream repository and skips the work when it hasn't
+ * changed since the version the caller already has.
+ *
+ * A version is { repo, commitSha, etag, updatedAt }: the branch head
+ * commit and its date when the API could tell us, and the archive's ETag
+ * for conditional ZIP downloads.
+ *
+ * Fetches take an optional AbortSignal; aborting cancels the download in
+ * flight and rejects with the signal's reason.
+ */
+class GitHubFetcher {
+  /**
+   * Defaults come from config; `options` can point at another repo or branch
+   */
+  constructor(options = {}) {
+    const settings = { ...config.source.github };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) {
+        settings[key] = value;
+      }
+    }
+    const { owner, repo, branch, token, apiUrl, downloadUrl, rawUrl, concurrency, retries, retryDelayMs } = settings;
+    this.repoOwner = owner;
+    this.repoName = repo;
+    this.branch = branch;
+    this.token = token;
+    this.apiUrl = apiUrl;
+    this.rawUrl = rawUrl;
+    this.concurrency = concurrency;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.zipUrl = `${downloadUrl}/${owner}/${repo}/archive/refs/heads/${encodeURIComponent(branch)}.zip`;
+    this.dataDir = path.join(__dirname, '../data');
+    this.rawDir = path.join(this.dataDir, 'raw');
+    // CSV contents by git blob SHA, one folder per repo so pruning stays local
+    this.blobDir = path.join(this.rawDir, 'blobs', `${owner}__${repo}`.replace(/[^\w.-]/g, '_'));
+  }
+
+  get repoId() {
+    return `${this.repoOwner}/${this.repoName}@${this.branch}`;
+  }
+
+  /**
+   * A previous version only counts if it came from this same repo and branch
+   */
+  usableVersion(since) {
+    return since && since.repo === this.repoId ? since : null;
+  }
+
+  async fetchRepository({ since = null, signal = null } = {}) {
+    const previous = this.usableVersion(since);
+
+    try {
+      // Ensure directories exist
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.mkdir(this.rawDir, { recursive: true });
+
+      // A cheap commit lookup saves the whole download when nothing changed
+      const commit = await this.getLatestCommit(signal).catch(error => {
+        if (signal && signal.aborted) throw error;
+        logger.warn(`Could not check latest commit, falling back to a conditional download: ${error.message}`);
+        return null;
+      });
+      const commitSha = commit ? commit.sha : null;
+
+      if (previous && commitSha && previous.commitSha === commitSha) {
+        logger.info(`Upstream unchanged at ${commitSha.slice(0, 7)}, skipping download`);
+        return { repoData: null, version: previous, updatedAt: previous.updatedAt || null };
+      }
+
+      logger.info('Downloading repository ZIP from GitHub...');
+      const headers = {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/zip'
+      };
+      if (previous && previous.etag) {
+        headers['If-None-Match'] = previous.etag;
+      }
+
+      const response = await this.request({
+        method: 'get',
+        url: this.zipUrl,
+        responseType: 'arraybuffer',
+        timeout: 120000, // 2 minutes
+        maxContentLength: 100 * 1024 * 1024, // 100MB
+        headers: headers,
+        validateStatus: status => status === 200 || status === 304,
+        signal: signal
+      }, 'repository ZIP');
+
+      if (response.status === 304) {
+        logger.info('Upstream archive unchanged (304 Not Modified), skipping download');
+        return {
+          repoData: null,
+          version: { ...previous, commitSha: commitSha || previous.commitSha },
+          updatedAt: previous.updatedAt || null
+        };
+      }
+
+      logger.info(`Downloaded ${(response.data.length / 1024 / 1024).toFixed(2)} MB`);
+      logger.info('Extracting ZIP file...');
+
+      const zip = new AdmZip(response.data);
+      const repoData = RepoLayout.extractFromZip(zip);
+      // GitHub stamps archive entries with the commit time
+      const updatedAt = commit ? commit.date : this.newestEntryTime(zip);
+
+      return {
+        repoData: repoData,
+        version: { repo: this.repoId, commitSha: commitSha, etag: response.headers.etag || null, updatedAt: updatedAt },
+        updatedAt: updatedAt
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      if (error.code === 'ECONNABORTED') {
+        logger.error('GitHub download timed out. Please check your internet connection.');
+      } else if (error.response) {
+        logger.error(`GitHub API error: ${error.response.status} ${error.response.statusText}`);
+      } else {
+        logger.error('Failed to fetch repository:', error.message);
+      }
+      throw new Error(`GitHub fetch failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Alternative method: list the tree through the GitHub API and download
+   * only CSVs whose blob SHA isn't in the local cache yet
+   */
+  async fetchRepositoryViaAPI({ since = null, signal = null } = {}) {
+    const previous = this.usableVersion(since);
+
+    try {
+      const { sha: commitSha, date: updatedAt } = await this.getLatestCommit(signal);
+
+      if (previous && previous.commitSha === commitSha) {
+        logger.info(`Upstream unchanged at ${commitSha.slice(0, 7)}, skipping download`);
+        return { repoData: null, version: previous, updatedAt: updatedAt };
+      }
+
+      logger.info(`Fetching repository tree at ${commitSha.slice(0, 7)} via GitHub API...`);
+
+      // Pin the tree and raw downloads to the commit so a push mid-fetch can't mix versions
+      const treeResponse = await this.request({
+        method: 'get',
+        url: `${this.apiUrl}/repos/${this.repoOwner}/${this.repoName}/git/trees/${commitSha}?recursive=1`,
+        headers: this.apiHeaders('application/vnd.github.v3+json'),
+        signal: signal
+      }, 'repository tree');
+
+      if (treeResponse.data.truncated) {
+        logger.warn('GitHub truncated the repository tree; some files may be missing');
+      }
+
+      const csvFiles = treeResponse.data.tree.filter(item =>
+        item.type === 'blob' && RepoLayout.resolvePath(item.path)
+      );
+
+      await fs.mkdir(this.blobDir, { recursive: true });
+      const cached = new Set(await fs.readdir(this.blobDir));
+      const missing = csvFiles.filter(file => !cached.has(this.blobFileName(file.sha)));
+
+      logger.info(`Found ${csvFiles.length} CSV files, ${csvFiles.length - missing.length} cached, downloading ${missing.length}...`);
+
+      let failed = 0;
+      await mapWithConcurrency(missing, this.concurrency, async (file) => {
+        try {
+          await this.downloadBlob(commitSha, file, signal);
+        } catch (err) {
+          if (signal && signal.aborted) throw err;
+          failed++;
+          logger.warn(`Failed to download ${file.path}: ${err.message}`);
+        }
+      }, signal);
+
+      const files = [];
+      for (const file of csvFiles) {
+        try {
+          const content = await fs.readFile(path.join(this.blobDir, this.blobFileName(file.sha)), 'utf8');
+          files.push({ path: file.path, read: () => content });
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      }
+
+      const repoData = RepoLayout.collectFiles(files);
+      await this.pruneBlobs(new Set(csvFiles.map(file => this.blobFileName(file.sha))));
+
+      // With files missing, leave the commit unrecorded so the next run tries again
+      return {
+        repoData: repoData,
+        version: { repo: this.repoId, commitSha: failed > 0 ? null : commitSha, etag: null, updatedAt: updatedAt },
+        updatedAt: updatedAt
+      };
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        logger.error('GitHub API fetch failed:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * SHA and committer date of the branch head
+   */
+  async getLatestCommit(signal = null) {
+    const response = await this.request({
+      method: 'get',
+      url: `${this.apiUrl}/repos/${this.repoOwner}/${this.repoName}/commits/${encodeURIComponent(this.branch)}`,
+      headers: this.apiHeaders('application/vnd.github+json'),
+      timeout: 30000,
+      signal: signal
+    }, 'latest commit');
+
+    const { sha, commit } = response.data || {};
+    if (typeof sha !== 'string' || !/^[0-9a-f]{40}$/i.test(sha)) {
+      throw new Error('Unexpected response for latest commit');
+    }
+
+    const date = commit && commit.committer ? commit.committer.date : null;
+    return { sha, date: date || null };
+  }
+
+  newestEntryTime(zip) {
+    const times = zip.getEntries()
+      .map(entry => entry.header.time)
+      .filter(time => time instanceof Date && !isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+  }
+
+  async downloadBlob(commitSha, file, signal = null) {
+    const encodedPath = file.path.split('/').map(encodeURIComponent).join('/');
+    const response = await this.request({
+      method: 'get',
+      url: `${this.rawUrl}/${this.repoOwner}/${this.repoName}/${commitSha}/${encodedPath}`,
+      headers: { 'User-Agent': USER_AGENT },
+      responseType: 'text',
+      transformResponse: data => data, // keep CSVs as raw text
+      timeout: 60000,
+      signal: signal
+    }, file.path);
+
+    const filePath = path.join(this.blobDir, this.blobFileName(file.sha));
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, response.data);
+    await fs.rename(tempPath, filePath);
+    logger.debug(`✓ ${file.path}`);
+  }
+
+  blobFileName(sha) {
+    return `${sha}.csv`;
+  }
+
+  /**
+   * Drop cached blobs the current tree no longer references
+   */
+  async pruneBlobs(keep) {
+    for (const fileName of await fs.readdir(this.blobDir)) {
+      if (!keep.has(fileName)) {
+        await fs.unlink(path.join(this.blobDir, fileName)).catch(() => {});
+      }
+    }
+  }
+
+  apiHeaders(accept) {
+    const headers = {
+      'User-Agent': USER_AGENT,
+      'Accept': accept
+    };
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
+    return headers;
+  }
+
+  /**
+   * axios request retried with exponential backoff on network errors,
+   * 5xx, 429 and rate-limit 403s. Honors Retry-After when GitHub sends it.
+   * An aborted `options.signal` ends the retries with the abort reason.
+   */
+  async request(options, description) {
+    const { signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios(options);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        if (attempt >= this.retries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.retryDelay(error, attempt);
+        logger.warn(`Request for ${description} failed (${error.message}), retrying in ${delay}ms ` +
+          `(attempt ${attempt + 2} of ${this.retries + 1})`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  isRetryable(error) {
+    if (!error.response) {
+      return true; // network error or timeout
+    }
+
+    const { status, headers } = error.response;
+    return status >= 500 || status === 429 ||
+      (status === 403 && headers['x-ratelimit-remaining'] === '0');
+  }
+
+  retryDelay(error, attempt) {
+    const retryAfter = error.response && parseInt(error.response.headers['retry-after']);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter, MAX_RETRY_AFTER_SECONDS) * 1000;
+    }
+
+    // Exponential backoff with jitter so parallel downloads don't retry in lockstep
+    const base = this.retryDelayMs * 2 ** attempt;
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+}
+
+module.exports = new GitHubFetcher();
+module.exports.GitHubFetcher = GitHubFetcher;
@@ -0,0 +1,47 @@
+const { parse, validate, execute, specifiedRules, GraphQLError } = require('graphql');
+const schema = require('./schema');
+const { depthLimit, complexityLimit } = require('./limits');
+const config = require('../../config');
+
+/**
+ * Parse, validate (including depth and complexity limits) and run a
+ * GraphQL query against the in-memory index. Resolves to the standard
+ * { data, errors } result; `errors` alone means the query never ran.
+ */
+async function runQuery({ query, variables = {}, operationName = null }) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { errors: [error] };
+  }
+
+  const rules = [
+    ...specifiedRules,
+    depthLimit(config.graphql.maxDepth),
+    complexityLimit(config.graphql.maxComplexity, variables)
+  ];
+  const validationErrors = validate(schema, document, rules);
+  if (validationErrors.length > 0) {
+    return { errors: validationErrors };
+  }
+
+  const operation = document.definitions.find(definition =>
+    definition.kind === 'OperationDefinition' &&
+    (!operationName || (definition.name && definition.name.value === operationName)));
+  if (operation && operation.operation !== 'query') {
+    return { errors: [new GraphQLError('Only queries are supported')] };
+  }
+
+  return execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName
+  });
+}
+
+module.exports = {
+  schema,
+  runQuery
+};
@@ -0,0 +1,122 @@
+const {
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isObjectType,
+  valueFromASTUntyped
+} = require('graphql');
+
+// Assumed size of list fields that take no `limit` argument
+const DEFAULT_LIST_SIZE = 10;
+
+/**
+ * Validation rule rejecting operations nested deeper than `maxDepth`
+ * fields. Fragments count at the depth they are spread.
+ */
+function depthLimit(maxDepth) {
+  return (context) => {
+    const measure = (selectionSet, depth, visited) => {
+      let deepest = depth;
+
+      for (const selection of selectionSet.selections) {
+        if (selection.kind === Kind.FIELD) {
+          if (selection.name.value.startsWith('__')) continue; // introspection
+          deepest = Math.max(deepest, selection.selectionSet
+            ? measure(selection.selectionSet, depth + 1, visited)
+            : depth + 1);
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+          deepest = Math.max(deepest, measure(selection.selectionSet, depth, visited));
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+          const fragment = context.getFragment(selection.name.value);
+          if (fragment && !visited.has(fragment.name.value)) {
+            deepest = Math.max(deepest, measure(fragment.selectionSet, depth, new Set([...visited, fragment.name.value])));
+          }
+        }
+      }
+
+      return deepest;
+    };
+
+    return {
+      OperationDefinition(node) {
+        const depth = measure(node.selectionSet, 0, new Set());
+        if (depth > maxDepth) {
+          context.reportError(new GraphQLError(
+            `Query depth ${depth} exceeds the maximum of ${maxDepth}`, { nodes: [node] }
+          ));
+        }
+      }
+    };
+  };
+}
+
+/**
+ * Validation rule rejecting operations whose estimated cost exceeds
+ * `maxComplexity`. Every field costs 1, and everything selected under a
+ * list field is multiplied by its `limit` argument (or DEFAULT_LIST_SIZE).
+ */
+function complexityLimit(maxComplexity, variables = {}) {
+  return (context) => {
+    const schema = context.getSchema();
+
+    const listSize = (field, fieldDef) => {
+      const limitArg = (field.arguments || []).find(arg => arg.name.value === 'limit');
+      if (limitArg) {
+        const value = valueFromASTUntyped(limitArg.value, variables);
+        if (typeof value === 'number') return Math.max(value, 1);
+      }
+      const limitDef = fieldDef.args.find(arg => arg.name === 'limit');
+      if (limitDef && typeof limitDef.defaultValue === 'number') {
+        return Math.max(limitDef.defaultValue, 1);
+      }
+      return isListType(getNullableType(fieldDef.type)) ? DEFAULT_LIST_SIZE : 1;
+    };
+
+    const measure = (selectionSet, parentType, visited) => {
+      let cost = 0;
+
+      for (const selection of selectionSet.selections) {
+        if (selection.kind === Kind.FIELD) {
+          const fieldDef = isObjectType(parentType) ? parentType.getFields()[selection.name.value] : null;
+          if (!fieldDef) continue; // introspection and unknown fields are left to other rules
+
+          cost += 1;
+          if (selection.selectionSet) {
+            cost += listSize(selection, fieldDef) *
+              measure(selection.selectionSet, getNamedType(fieldDef.type), visited);
+          }
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+          cost += measure(selection.selectionSet, parentType, visited);
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+          const fragment = context.getFragment(selection.name.value);
+          if (fragment && !visited.has(fragment.name.value)) {
+            cost += measure(fragment.selectionSet, parentType, new Set([...visited, fragment.name.value]));
+          }
+        }
+      }
+
+      return cost;
+    };
+
+    return {
+      OperationDefinition(node) {
+        const rootType = node.operation === 'query' ? schema.getQueryType() : null;
+        if (!rootType) return;
+
+        const complexity = measure(node.selectionSet, rootType, new Set());
+        if (complexity > maxComplexity) {
+          context.reportError(new GraphQLError(
+            `Query complexity ${complexity} exceeds the maximum of ${maxComplexity}`, { nodes: [node] }
+          ));
+        }
+      }
+    };
+  };
+}
+
+module.exports = {
+  depthLimit,
+  complexityLimit
+};
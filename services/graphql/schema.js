@@ -0,0 +1,377 @@
+const { buildSchema, GraphQLError } = require('graphql');
+const DataService = require('../dataService');
+const Normalizer = require('../normalizer');
+const TimeRanges = require('../timeRanges');
+const TrendAnalyzer = require('../trendAnalyzer');
+
+const MAX_LIMIT = 100;
+const DEFAULT_COMPANY_ENTRIES = 20;
+
+const typeDefs = `
+  "Problem difficulty"
+  enum Difficulty {
+    EASY
+    MEDIUM
+    HARD
+  }
+
+  "Ordering for problem lists"
+  enum ProblemSort {
+    FREQUENCY
+    SCORE
+    RECENT
+    TITLE
+    COMPANIES
+  }
+
+  "Ordering for a problem's companies"
+  enum CompanyEntrySort {
+    FREQUENCY
+    SCORE
+    NAME
+  }
+
+  "Ordering for company lists"
+  enum CompanySort {
+    NAME
+    PROBLEMS
+  }
+
+  type Query {
+    "One problem by slug, title, question number or URL. range is a time range param such as 30 or all. id only works when the data source has a question ID column."
+    problem(slug: String, title: String, id: Int, url: String, range: String): Problem
+
+    "Problems filtered by search text, company, time range, difficulty and topic"
+    problems(
+      search: String
+      company: String
+      range: String
+      difficulty: Difficulty
+      topic: String
+      sort: ProblemSort = FREQUENCY
+      limit: Int = 20
+      offset: Int = 0
+    ): ProblemConnection!
+
+    "One company by name or alias"
+    company(name: String!): Company
+
+    companies(sort: CompanySort = NAME, limit: Int = 50, offset: Int = 0): CompanyConnection!
+
+    "Configured time ranges, most recent first"
+    timeRanges: [TimeRange!]!
+  }
+
+  type TimeRange {
+    "Internal range key, e.g. 30-days"
+    key: String!
+    "Value accepted by range arguments, e.g. 30"
+    param: String!
+  }
+
+  type Problem {
+    slug: String!
+    title: String!
+    id: Int
+    difficulty: String
+    acceptanceRate: Float
+    link: String
+    topics: [String!]!
+    "How the problem was matched when looked up with Query.problem"
+    matchedBy: String
+    companyCount: Int!
+    "Companies asking this problem, within the range the problem was looked up with (at most ${MAX_LIMIT})"
+    companies(names: [String!], sort: CompanyEntrySort = FREQUENCY, limit: Int = ${DEFAULT_COMPANY_ENTRIES}): [CompanyEntry!]!
+  }
+
+  "One company's interest in one problem"
+  type CompanyEntry {
+    name: String!
+    frequency: Float!
+    frequencies: [RangeFrequency!]!
+    lastSeen: String
+    trend: String
+    score: Float
+    "Upstream sources this entry came from"
+    sources: [String!]!
+    company: Company
+  }
+
+  type RangeFrequency {
+    range: String!
+    frequency: Float!
+  }
+
+  type Company {
+    name: String!
+    aliases: [String!]!
+    problemCount: Int!
+    timeRanges: [String!]!
+    problems(
+      range: String
+      difficulty: Difficulty
+      topic: String
+      sort: ProblemSort = FREQUENCY
+      limit: Int = 20
+      offset: Int = 0
+    ): CompanyProblemConnection!
+  }
+
+  "A problem as asked by one company"
+  type CompanyProblem {
+    problem: Problem!
+    frequency: Float!
+    lastSeen: String
+    trend: String
+    score: Float
+    sources: [String!]!
+  }
+
+  type ProblemConnection {
+    total: Int!
+    items: [Problem!]!
+  }
+
+  type CompanyProblemConnection {
+    total: Int!
+    items: [CompanyProblem!]!
+  }
+
+  type CompanyConnection {
+    total: Int!
+    items: [Company!]!
+  }
+`;
+
+function checkRange(range) {
+  if (range !== null && range !== undefined && !TimeRanges.isValidParam(range)) {
+    throw new GraphQLError(TimeRanges.invalidParamMessage());
+  }
+  return range || null;
+}
+
+function page(items, { limit, offset }) {
+  const size = Math.min(Math.max(limit, 0), MAX_LIMIT);
+  const start = Math.max(offset, 0);
+  return { total: items.length, items: items.slice(start, start + size) };
+}
+
+function filtersFrom({ difficulty, topic }) {
+  return { difficulty: difficulty ? difficulty.toLowerCase() : null, topic: topic || null };
+}
+
+/**
+ * A problem as the REST API shows it, projected onto a time range
+ */
+function projectProblem(problemData, range) {
+  return DataService.filterByTimeRange(problemData, range);
+}
+
+/**
+ * Sort keys for a problem across every company asking it within the range
+ */
+function problemRow(problemData, includedRanges) {
+  let frequency = 0;
+  let score = 0;
+  let companyCount = 0;
+  const seen = [];
+
+  for (const company of problemData.companies) {
+    const frequencies = includedRanges
+      .map(range => company.frequencies[range])
+      .filter(value => typeof value === 'number');
+    if (!includedRanges.some(range => company.timeRanges[range])) continue;
+
+    companyCount++;
+    seen.push(company.last_seen);
+    frequency = Math.max(frequency, ...frequencies, 0);
+    score = Math.max(score, TrendAnalyzer.computeScore(company.frequencies, includedRanges));
+  }
+
+  return {
+    problemData,
+    problem: problemData.problem,
+    frequency,
+    score,
+    last_seen: DataService.getShortestRange(seen),
+    companyCount
+  };
+}
+
+function sortRows(rows, sort) {
+  if (sort === 'COMPANIES') {
+    return rows.sort((a, b) => b.companyCount - a.companyCount || b.frequency - a.frequency ||
+      a.problem.localeCompare(b.problem));
+  }
+  return rows.sort(DataService.getCompanyProblemComparator(sort.toLowerCase()));
+}
+
+const resolvers = {
+  Query: {
+    problem(_, { slug, title, id, url, range }) {
+      const timeRange = checkRange(range);
+      const inputs = [slug, title, id, url].filter(value => value !== null && value !== undefined);
+      if (inputs.length !== 1) {
+        throw new GraphQLError('Provide exactly one of "slug", "title", "id" or "url"');
+      }
+
+      let result;
+      if (slug) {
+        result = DataService.queryBySlug(slug, timeRange);
+      } else if (title) {
+        result = DataService.queryByTitle(title, timeRange);
+      } else if (id !== null && id !== undefined) {
+        if (!DataService.hasQuestionIds()) {
+          throw new GraphQLError('Lookup by "id" is unavailable: the data source has no question ID column');
+        }
+        result = DataService.queryById(id, timeRange);
+      } else {
+        if (!Normalizer.slugFromUrl(url)) {
+          throw new GraphQLError('"url" must be a LeetCode problem URL');
+        }
+        result = DataService.queryByUrl(url, timeRange);
+      }
+
+      return result;
+    },
+
+    problems(_, args) {
+      const range = checkRange(args.range);
+      const includedRanges = DataService.resolveIncludedRanges(range);
+      const filters = filtersFrom(args);
+      let rows;
+
+      if (args.company) {
+        const companyData = DataService.getCompany(args.company);
+        if (!companyData) {
+          return { total: 0, items: [] };
+        }
+        rows = DataService.getCompanyEntries(companyData, range ? includedRanges : null)
+          .filter(({ problemData }) => DataService.matchesFilters(problemData, filters))
+          .map(({ problemData, companyEntry }) => ({ problemData, problem: problemData.problem, ...companyEntry }));
+      } else {
+        rows = [...DataService.problemMap.values()]
+          .filter(problemData => DataService.matchesFilters(problemData, filters))
+          .map(problemData => problemRow(problemData, includedRanges))
+          .filter(row => row.companyCount > 0);
+      }
+
+      if (args.search) {
+        // Search relevance decides the order; other filters still apply
+        const allowed = new Map(rows.map(row => [row.problemData.slug, row]));
+        const { results } = DataService.searchIndex.search(args.search, {
+          limit: allowed.size,
+          filter: slug => allowed.has(slug)
+        });
+        rows = results.map(({ slug }) => allowed.get(slug));
+      } else {
+        sortRows(rows, args.sort);
+      }
+
+      const result = page(rows, args);
+      result.items = result.items.map(row => projectProblem(row.problemData, range));
+      return result;
+    },
+
+    company(_, { name }) {
+      return DataService.getCompany(name);
+    },
+
+    companies(_, args) {
+      const companies = [...DataService.companyMap.values()];
+
+      if (args.sort === 'PROBLEMS') {
+        companies.sort((a, b) => b.slugs.size - a.slugs.size || a.name.localeCompare(b.name));
+      } else {
+        companies.sort((a, b) => a.name.localeCompare(b.name));
+      }
+
+      return page(companies, args);
+    },
+
+    timeRanges() {
+      return TimeRanges.ranges;
+    }
+  },
+
+  Problem: {
+    title: problem => problem.problem,
+
+    companyCount: problem => problem.companies.length,
+
+    companies(problem, { names, sort, limit }) {
+      let companies = [...problem.companies];
+
+      if (names && names.length > 0) {
+        const companyNames = new Set(names.map(name => {
+          const companyData = DataService.getCompany(name);
+          return companyData ? companyData.name : name;
+        }));
+        companies = companies.filter(entry => companyNames.has(entry.name));
+      }
+
+      if (sort === 'NAME') {
+        companies.sort((a, b) => a.name.localeCompare(b.name));
+      } else if (sort === 'SCORE') {
+        companies.sort((a, b) => b.score - a.score || b.frequency - a.frequency);
+      } else {
+        companies.sort((a, b) => b.frequency - a.frequency);
+      }
+
+      const size = limit === null || limit === undefined ? DEFAULT_COMPANY_ENTRIES : limit;
+      return companies.slice(0, Math.min(Math.max(size, 0), MAX_LIMIT));
+    }
+  },
+
+  CompanyEntry: {
+    frequencies: entry => TimeRanges.sort(Object.keys(entry.frequencies))
+      .map(range => ({ range, frequency: entry.frequencies[range] })),
+
+    lastSeen: entry => entry.last_seen,
+
+    sources: entry => entry.sources || [],
+
+    company: entry => DataService.getCompany(entry.name)
+  },
+
+  Company: {
+    aliases: companyData => DataService.summarizeCompany(companyData).aliases,
+
+    problemCount: companyData => companyData.slugs.size,
+
+    timeRanges: companyData => TimeRanges.sort([...companyData.timeRanges]),
+
+    problems(companyData, args) {
+      const range = checkRange(args.range);
+      const filters = filtersFrom(args);
+      const rows = DataService.getCompanyEntries(companyData, range ? DataService.resolveIncludedRanges(range) : null)
+        .filter(({ problemData }) => DataService.matchesFilters(problemData, filters))
+        .map(({ problemData, companyEntry }) => ({ problemData, problem: problemData.problem, range, ...companyEntry }));
+
+      return page(sortRows(rows, args.sort), args);
+    }
+  },
+
+  CompanyProblem: {
+    problem: row => projectProblem(row.problemData, row.range),
+
+    lastSeen: row => row.last_seen,
+
+    sources: row => row.sources || []
+  }
+};
+
+/**
+ * Attach resolver functions to the fields of a schema built from SDL
+ */
+function addResolvers(schema, resolverMap) {
+  for (const [typeName, fieldResolvers] of Object.entries(resolverMap)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fieldResolvers)) {
+      fields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+module.exports = addResolvers(buildSchema(typeDefs), resolvers);
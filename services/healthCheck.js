@@ -0,0 +1,137 @@
+const DataService = require('./dataService');
+const RefreshJobs = require('./refreshJobs');
+const config = require('../config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Works out whether the service is fit to serve traffic.
+ *
+ * Readiness status is one of:
+ * - ok: data is loaded and fresh
+ * - stale: nothing has confirmed the data is current for staleAfterHours
+ * - degraded: the last failureThreshold refreshes all failed
+ * - unavailable: no data is loaded yet, or the server is shutting down
+ *
+ * Validation reasons and refresh error messages can describe upstream
+ * internals, so they are only included with `details` (admin callers);
+ * everyone else gets the validation status and error codes.
+ */
+class HealthCheck {
+  constructor() {
+    this.startedAt = Date.now();
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Report not ready from now on, so load balancers stop sending traffic
+   * while open requests drain
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  liveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  readiness({ details = false, now = Date.now() } = {}) {
+    const status = DataService.getStatus();
+    // Cancelled refreshes say nothing about upstream health
+    const refreshes = RefreshJobs.list().filter(job => job.status !== 'running' && job.status !== 'cancelled');
+    const lastSucceeded = refreshes.find(job => job.status === 'succeeded');
+    const failureStreak = this.failureStreak(refreshes);
+
+    // A refresh that found upstream unchanged still proves the data is current
+    const lastConfirmed = [status.lastUpdated, lastSucceeded && lastSucceeded.finishedAt]
+      .filter(Boolean)
+      .map(timestamp => Date.parse(timestamp))
+      .reduce((latest, time) => Math.max(latest, time), 0);
+    const ageHours = lastConfirmed > 0 ? (now - lastConfirmed) / HOUR_MS : null;
+
+    const reasons = [];
+    if (this.shuttingDown) {
+      reasons.push('Shutting down');
+    }
+    if (!status.lastUpdated) {
+      reasons.push('No data loaded');
+    }
+    if (ageHours !== null && ageHours > config.health.staleAfterHours) {
+      reasons.push(`Data last confirmed ${Math.round(ageHours * 10) / 10}h ago (threshold ${config.health.staleAfterHours}h)`);
+    }
+    if (failureStreak >= config.health.failureThreshold) {
+      reasons.push(`Last ${failureStreak} refreshes failed`);
+    }
+
+    let state = 'ok';
+    if (this.shuttingDown || !status.lastUpdated) {
+      state = 'unavailable';
+    } else if (ageHours > config.health.staleAfterHours) {
+      state = 'stale';
+    } else if (failureStreak >= config.health.failureThreshold) {
+      state = 'degraded';
+    }
+
+    return {
+      status: state,
+      ready: state !== 'unavailable',
+      reasons: reasons,
+      dataVersion: status.lastUpdated,
+      dataSource: status.dataSource,
+      dataAgeHours: ageHours === null ? null : Math.round(ageHours * 100) / 100,
+      lastConfirmedAt: lastConfirmed > 0 ? new Date(lastConfirmed).toISOString() : null,
+      totalProblems: status.totalProblems,
+      totalCompanies: status.totalCompanies,
+      lastValidation: details ? status.lastValidation : this.validationSummary(status.lastValidation),
+      refreshing: RefreshJobs.isRunning(),
+      consecutiveFailures: failureStreak,
+      refreshes: this.refreshHistory({ details })
+    };
+  }
+
+  /**
+   * Number of finished refreshes, newest first, that failed or were
+   * rejected before the last one that succeeded
+   */
+  failureStreak(refreshes) {
+    let streak = 0;
+    for (const job of refreshes) {
+      if (job.status === 'succeeded') break;
+      streak++;
+    }
+    return streak;
+  }
+
+  /**
+   * The outcome of a validation without its reasons and metrics
+   */
+  validationSummary(validation) {
+    return validation ? { status: validation.status, at: validation.at } : null;
+  }
+
+  /**
+   * The most recent refresh attempts, newest first
+   */
+  refreshHistory({ details = false } = {}) {
+    return RefreshJobs.list().slice(0, config.health.historySize).map(job => ({
+      id: job.id,
+      trigger: job.trigger,
+      status: job.status,
+      startedAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      durationMs: job.durationMs,
+      changed: job.result ? job.result.changed : null,
+      records: {
+        files: job.progress.totalFiles ?? null,
+        problems: job.progress.problems ?? null,
+        companies: job.progress.companies ?? null
+      },
+      error: details ? job.error : job.errorCode
+    }));
+  }
+}
+
+module.exports = new HealthCheck();
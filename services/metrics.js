@@ -0,0 +1,99 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for the API, refreshes and the loaded dataset,
+ * served in text format from GET /metrics.
+ */
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      registers: [this.registry]
+    });
+
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency by method and route',
+      labelNames: ['method', 'route'],
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+      registers: [this.registry]
+    });
+
+    this.problemLookups = new client.Counter({
+      name: 'problem_lookups_total',
+      help: 'Problem lookups by endpoint and outcome (found, not_found)',
+      labelNames: ['endpoint', 'outcome'],
+      registers: [this.registry]
+    });
+
+    this.refreshes = new client.Counter({
+      name: 'data_refreshes_total',
+      help: 'Data refreshes by trigger and outcome',
+      labelNames: ['trigger', 'outcome'],
+      registers: [this.registry]
+    });
+
+    this.refreshDuration = new client.Histogram({
+      name: 'data_refresh_duration_seconds',
+      help: 'Data refresh duration by outcome',
+      labelNames: ['outcome'],
+      buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+      registers: [this.registry]
+    });
+
+    this.datasetProblems = new client.Gauge({
+      name: 'dataset_problems',
+      help: 'Problems in the live dataset',
+      registers: [this.registry]
+    });
+
+    this.datasetCompanies = new client.Gauge({
+      name: 'dataset_companies',
+      help: 'Companies in the live dataset',
+      registers: [this.registry]
+    });
+
+    this.datasetLastUpdated = new client.Gauge({
+      name: 'dataset_last_updated_timestamp_seconds',
+      help: 'When the live dataset was built, as a Unix timestamp',
+      registers: [this.registry]
+    });
+  }
+
+  observeRequest({ method, route, status, durationMs }) {
+    this.httpRequests.inc({ method, route, status: String(status) });
+    this.httpDuration.observe({ method, route }, durationMs / 1000);
+  }
+
+  recordLookup(endpoint, found) {
+    this.problemLookups.inc({ endpoint, outcome: found ? 'found' : 'not_found' });
+  }
+
+  recordRefresh({ trigger, status, durationMs }) {
+    this.refreshes.inc({ trigger, outcome: status });
+    this.refreshDuration.observe({ outcome: status }, durationMs / 1000);
+  }
+
+  updateDataset({ totalProblems, totalCompanies, lastUpdated }) {
+    this.datasetProblems.set(totalProblems);
+    this.datasetCompanies.set(totalCompanies);
+    if (lastUpdated) {
+      this.datasetLastUpdated.set(Date.parse(lastUpdated) / 1000);
+    }
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new Metrics();
@@ -1,87 +1,162 @@
-class Normalizer {
-    /**
-     * Normalize a title to lowercase and trimmed
-     */
-    normalizeTitle(title) {
-      if (!title) return '';
-      return title.toLowerCase().trim().replace(/\s+/g, ' ');
-    }
-  
-    /**
-     * Convert a title to slug format (e.g., "Two Sum" -> "two-sum")
-     */
-    titleToSlug(title) {
-      if (!title) return '';
-      
-      return title
-        .toLowerCase()
-        .trim()
-        .replace(/[^\w\s-]/g, '') // Remove special characters except hyphens
-        .replace(/\s+/g, '-') // Replace spaces with hyphens
-        .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
-        .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
-    }
-  
-    /**
-     * Normalize a slug (ensure it's in proper slug format)
-     */
-    normalizeSlug(slug) {
-      if (!slug) return '';
-      
-      return slug
-        .toLowerCase()
-        .trim()
-        .replace(/\s+/g, '-') // Convert any spaces to hyphens
-        .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
-        .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
-    }
-  
-    /**
-     * Convert a slug back to a readable title (e.g., "two-sum" -> "Two Sum")
-     */
-    slugToTitle(slug) {
-      if (!slug) return '';
-      
-      return slug
-        .split('-')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
-    }
-  
-    /**
-     * Check if a title matches a search query
-     */
-    matchesQuery(title, query) {
-      const normalizedTitle = this.normalizeTitle(title);
-      const normalizedQuery = this.normalizeTitle(query);
-      
-      return normalizedTitle.includes(normalizedQuery);
-    }
-  
-    /**
-     * Try multiple normalization strategies to find a match
-     */
-    findBestMatch(input, titleMap, problemMap) {
-      // Try as-is
-      let slug = this.normalizeSlug(input);
-      if (problemMap.has(slug)) {
-        return slug;
-      }
-  
-      // Try as title
-      const normalizedTitle = this.normalizeTitle(input);
-      if (titleMap.has(normalizedTitle)) {
-        return titleMap.get(normalizedTitle);
-      }
-  
-      // Try converting to slug from title
-      slug = this.titleToSlug(input);
-      if (problemMap.has(slug)) {
-        return slug;
-      }
-  
-      return null;
-    }
-  }
-  
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class Normalizer {
+    constructor() {
+      this.slugAliasesPath = config.aliases.slugsPath;
+      this.slugAliases = this.loadSlugAliases(this.slugAliasesPath); // old slug -> current slug
+    }
+  
+    /**
+     * Load the table of renamed LeetCode slugs ({ "old-slug": "new-slug" })
+     */
+    loadSlugAliases(filePath) {
+      try {
+        const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new Map(Object.entries(table).map(([from, to]) => [this.normalizeSlug(from), this.normalizeSlug(to)]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Failed to load slug aliases from ${filePath}: ${error.message}`);
+        }
+        return new Map();
+      }
+    }
+  
+    /**
+     * Normalize a title to lowercase and trimmed
+     */
+    normalizeTitle(title) {
+      if (!title) return '';
+      return title.toLowerCase().trim().replace(/\s+/g, ' ');
+    }
+  
+    /**
+     * Convert a title to slug format (e.g., "Two Sum" -> "two-sum")
+     */
+    titleToSlug(title) {
+      if (!title) return '';
+      
+      return title
+        .toLowerCase()
+        .trim()
+        .replace(/[^\w\s-]/g, '') // Remove special characters except hyphens
+        .replace(/\s+/g, '-') // Replace spaces with hyphens
+        .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
+        .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+    }
+  
+    /**
+     * Normalize a slug (ensure it's in proper slug format)
+     */
+    normalizeSlug(slug) {
+      if (!slug) return '';
+      
+      return slug
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, '-') // Convert any spaces to hyphens
+        .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
+        .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+    }
+  
+    /**
+     * Convert a slug back to a readable title (e.g., "two-sum" -> "Two Sum")
+     */
+    slugToTitle(slug) {
+      if (!slug) return '';
+      
+      return slug
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+    }
+  
+    /**
+     * Check if a title matches a search query
+     */
+    matchesQuery(title, query) {
+      const normalizedTitle = this.normalizeTitle(title);
+      const normalizedQuery = this.normalizeTitle(query);
+      
+      return normalizedTitle.includes(normalizedQuery);
+    }
+  
+    /**
+     * Whether a URL hostname belongs to LeetCode (leetcode.com, leetcode.cn
+     * or a subdomain of either). Stored links and looked-up URLs both go
+     * through this, so any URL accepted for lookup can match a stored link.
+     */
+    isLeetCodeHost(hostname) {
+      return /(^|\.)leetcode\.(com|cn)$/.test(hostname);
+    }
+  
+    /**
+     * Extract the slug from a LeetCode problem URL
+     * (e.g., "https://leetcode.com/problems/two-sum/description/" -> "two-sum")
+     */
+    slugFromUrl(url) {
+      if (!url) return null;
+  
+      try {
+        const parsed = new URL(String(url).trim());
+        if (!this.isLeetCodeHost(parsed.hostname)) {
+          return null;
+        }
+  
+        const match = parsed.pathname.match(/^\/problems\/([^/]+)/);
+        return match ? this.normalizeSlug(decodeURIComponent(match[1])) : null;
+      } catch (error) {
+        return null;
+      }
+    }
+  
+    /**
+     * Try multiple normalization strategies to find a match.
+     * Returns { slug, strategy } or null, where strategy names the rule that
+     * matched: slug, alias, title, title-slug or url.
+     */
+    findBestMatch(input, titleMap, problemMap, aliasMap = this.slugAliases) {
+      if (!input) return null;
+  
+      const resolveSlug = (slug) => {
+        if (problemMap.has(slug)) return slug;
+        const aliased = aliasMap.get(slug);
+        return aliased && problemMap.has(aliased) ? aliased : null;
+      };
+  
+      // Try as a problem URL
+      const urlSlug = this.slugFromUrl(input);
+      if (urlSlug) {
+        const slug = resolveSlug(urlSlug);
+        return slug ? { slug, strategy: 'url' } : null;
+      }
+  
+      // Try as-is
+      let slug = this.normalizeSlug(input);
+      if (problemMap.has(slug)) {
+        return { slug, strategy: 'slug' };
+      }
+  
+      // Try as a renamed slug
+      if (aliasMap.has(slug) && problemMap.has(aliasMap.get(slug))) {
+        return { slug: aliasMap.get(slug), strategy: 'alias' };
+      }
+  
+      // Try as title
+      const normalizedTitle = this.normalizeTitle(input);
+      if (titleMap.has(normalizedTitle)) {
+        return { slug: titleMap.get(normalizedTitle), strategy: 'title' };
+      }
+  
+      // Try converting to slug from title
+      slug = resolveSlug(this.titleToSlug(input));
+      if (slug) {
+        return { slug, strategy: 'title-slug' };
+      }
+  
+      return null;
+    }
+  }
+  
   module.exports = new Normalizer();
\ No newline at end of file
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const DataService = require('./dataService');
+const Metrics = require('./metrics');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const MAX_JOBS = config.refresh.jobHistory;
+
+/**
+ * Runs data refreshes as background jobs, one at a time.
+ *
+ * Manual, scheduled and startup refreshes all go through `start`, which
+ * doubles as the mutex: while a job is running, `start` hands back the
+ * running job instead of launching another. A running job can be
+ * cancelled, and `shutdown` cancels it and refuses any new ones.
+ */
+class RefreshJobs {
+  constructor() {
+    this.jobs = new Map(); // job id -> job, oldest first
+    this.promises = new Map(); // job id -> promise settled when the job ends
+    this.controllers = new Map(); // job id -> AbortController of the running job
+    this.currentJob = null;
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Start a refresh unless one is already running. `force` skips dataset
+   * validation. Returns { job, started }.
+   */
+  start(trigger = 'manual', { force = false } = {}) {
+    if (this.shuttingDown) {
+      const error = new Error('Server is shutting down');
+      error.code = 'SHUTTING_DOWN';
+      throw error;
+    }
+
+    if (this.currentJob) {
+      return { job: this.currentJob, started: false };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      trigger: trigger,
+      force: force,
+      status: 'running',
+      phase: 'queued',
+      progress: {},
+      error: null,
+      errorCode: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      result: null
+    };
+
+    this.currentJob = job;
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.promises.set(job.id, this.run(job, controller.signal));
+    return { job, started: true };
+  }
+
+  async run(job, signal) {
+    const startTime = Date.now();
+    logger.info(`Refresh job ${job.id} started (${job.trigger})`);
+
+    try {
+      const { changed } = await DataService.updateData({
+        force: job.force,
+        signal: signal,
+        onProgress: (phase, details) => {
+          job.phase = phase;
+          job.progress = { ...job.progress, ...details };
+        }
+      });
+
+      job.status = 'succeeded';
+      job.result = { ...DataService.getStatus(), changed: changed };
+      logger.info(`Refresh job ${job.id} succeeded${changed ? '' : ' (upstream unchanged)'}`);
+    } catch (error) {
+      job.error = error.message;
+      job.errorCode = error.code || 'REFRESH_FAILED';
+      if (signal.aborted) {
+        job.status = 'cancelled';
+        logger.warn(`Refresh job ${job.id} cancelled during ${job.phase}: ${error.message}`);
+      } else {
+        job.status = error.code === 'DATASET_REJECTED' ? 'rejected' : 'failed';
+        if (error.reasons) {
+          job.reasons = error.reasons;
+        }
+        logger.error(`Refresh job ${job.id} failed during ${job.phase}:`, error.message);
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.durationMs = Date.now() - startTime;
+      Metrics.recordRefresh(job);
+      this.currentJob = null;
+      this.promises.delete(job.id);
+      this.controllers.delete(job.id);
+    }
+
+    return job;
+  }
+
+  /**
+   * Cancel the running job, if any. Resolves with the job once it has
+   * stopped, or null when nothing was running.
+   */
+  async cancel(reason = 'Refresh cancelled') {
+    if (!this.currentJob) {
+      return null;
+    }
+
+    const job = this.currentJob;
+    const error = new Error(reason);
+    error.code = 'REFRESH_CANCELLED';
+    this.controllers.get(job.id).abort(error);
+    return this.wait(job.id);
+  }
+
+  /**
+   * Refuse new jobs and cancel the running one
+   */
+  async shutdown() {
+    this.shuttingDown = true;
+    return this.cancel('Server is shutting down');
+  }
+
+  /**
+   * Resolves with the job once it has finished
+   */
+  async wait(jobId) {
+    return this.promises.get(jobId) || this.jobs.get(jobId);
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  isRunning() {
+    return this.currentJob !== null;
+  }
+
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  prune() {
+    for (const [jobId, job] of this.jobs) {
+      if (this.jobs.size <= MAX_JOBS) break;
+      if (job !== this.currentJob) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = new RefreshJobs();
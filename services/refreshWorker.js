@@ -0,0 +1,224 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const SearchIndex = require('./searchIndex');
+const logger = require('../utils/logger');
+
+const WORKER_SCRIPT = path.join(__dirname, 'refreshWorkerThread.js');
+
+/**
+ * Copy of an error that survives postMessage
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return { message: error.message, code: error.code, reasons: error.reasons, stack: error.stack };
+}
+
+function deserializeError(data) {
+  const error = new Error(data.message);
+  for (const key of ['code', 'reasons', 'stack']) {
+    if (data[key] !== undefined) {
+      error[key] = data[key];
+    }
+  }
+  return error;
+}
+
+/**
+ * Split a built index into its large collections, as arrays of map
+ * entries or items that can be posted in batches, and the small rest
+ */
+function splitIndex({ problemMap, titleMap, idMap, aliasMap, companyMap, searchIndex, ...rest }) {
+  const { documents, postings, sortedTokens, ...searchRest } = searchIndex;
+  return {
+    collections: {
+      problemMap: [...problemMap],
+      titleMap: [...titleMap],
+      idMap: [...idMap],
+      aliasMap: [...aliasMap],
+      companyMap: [...companyMap],
+      documents: [...documents],
+      postings: [...postings],
+      sortedTokens
+    },
+    rest: { ...rest, searchIndex: searchRest }
+  };
+}
+
+/**
+ * Reverse of splitIndex, given the collections' batches joined back up
+ */
+function joinIndex({ searchIndex, ...rest }, collections) {
+  const entries = name => collections[name] || [];
+  return {
+    ...rest,
+    problemMap: new Map(entries('problemMap')),
+    titleMap: new Map(entries('titleMap')),
+    idMap: new Map(entries('idMap')),
+    aliasMap: new Map(entries('aliasMap')),
+    companyMap: new Map(entries('companyMap')),
+    searchIndex: SearchIndex.restore({
+      ...searchIndex,
+      documents: new Map(entries('documents')),
+      postings: new Map(entries('postings')),
+      sortedTokens: entries('sortedTokens')
+    })
+  };
+}
+
+/**
+ * Runs the CPU-heavy half of a refresh (download, unzip, CSV parsing,
+ * index building, validation, change diff) in a worker thread so the event loop stays free for
+ * requests. The worker is started on first use and kept between
+ * refreshes, since it caches each source's parsed data.
+ *
+ * If the worker crashes or exits, every call in flight is rejected with
+ * a WORKER_CRASHED error and the next call starts a fresh worker.
+ */
+class RefreshWorker {
+  constructor() {
+    this.worker = null;
+    this.calls = new Map(); // call id -> { resolve, reject, onProgress, signal, collections, cleanup }
+    this.nextId = 1;
+  }
+
+  /**
+   * Fetch, parse, index, validate and diff a dataset in the worker; see
+   * DataService.prepareDataset. `live` is { dataVersion, totalProblems,
+   * totalCompanies } of the live dataset, or null. `onProgress(phase,
+   * details)` relays the worker's progress and aborting `signal` cancels
+   * the work.
+   */
+  prepare({ force, upstreamVersions, live }, { signal = null, onProgress = null } = {}) {
+    return this.call('prepare', { force, upstreamVersions, live }, { signal, onProgress });
+  }
+
+  /**
+   * Accept the dataset from the last `prepare` as live and snapshot it,
+   * with `meta` as SnapshotStore.save expects it. Until then the worker
+   * neither snapshots it nor reuses its sources' parse, so a rejected or
+   * cancelled dataset never leaks into later refreshes.
+   */
+  commit(meta) {
+    return this.call('commit', meta);
+  }
+
+  call(type, payload, { signal = null, onProgress = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const worker = this.ensureWorker();
+      const id = this.nextId++;
+      const onAbort = () => worker.postMessage({ id, type: 'cancel', reason: serializeError(signal.reason) });
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      this.calls.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        signal,
+        collections: {},
+        cleanup: () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+        }
+      });
+
+      worker.postMessage({ id, type, payload });
+    });
+  }
+
+  ensureWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.on('message', message => this.handleMessage(worker, message));
+    worker.on('error', error => {
+      logger.error('Refresh worker crashed:', error);
+      this.fail(worker, error.message);
+    });
+    // Even a clean exit leaves nothing to answer calls still in flight
+    worker.on('exit', code => this.fail(worker, `exited with code ${code}`));
+
+    this.worker = worker;
+    return worker;
+  }
+
+  handleMessage(worker, { id, type, ...message }) {
+    const call = this.calls.get(id);
+    if (!call) return;
+
+    if (type === 'progress') {
+      if (call.onProgress) {
+        call.onProgress(message.phase, message.details);
+      }
+      return;
+    }
+
+    // A built index's collections arrive in batches ahead of the result
+    if (type === 'entries') {
+      const entries = call.collections[message.collection] || (call.collections[message.collection] = []);
+      entries.push(...message.entries);
+      worker.postMessage({ id, type: 'ack' });
+      return;
+    }
+
+    this.calls.delete(id);
+    call.cleanup();
+
+    if (type === 'result') {
+      const { result } = message;
+      if (result && result.index) {
+        result.index = joinIndex(result.index, call.collections);
+      }
+      call.resolve(result);
+    } else if (call.signal && call.signal.aborted) {
+      call.reject(call.signal.reason);
+    } else {
+      call.reject(deserializeError(message.error));
+    }
+  }
+
+  /**
+   * Reject everything the dead worker was doing; the next call starts a
+   * new one
+   */
+  fail(worker, reason) {
+    if (this.worker === worker) {
+      this.worker = null;
+    }
+
+    for (const [id, call] of this.calls) {
+      const error = new Error(`Refresh worker crashed: ${reason}`);
+      error.code = 'WORKER_CRASHED';
+      this.calls.delete(id);
+      call.cleanup();
+      call.reject(error);
+    }
+  }
+
+  /**
+   * Stop the worker, rejecting anything still in flight
+   */
+  async stop() {
+    if (!this.worker) {
+      return;
+    }
+
+    const worker = this.worker;
+    this.worker = null;
+    await worker.terminate();
+  }
+}
+
+module.exports = new RefreshWorker();
+module.exports.serializeError = serializeError;
+module.exports.deserializeError = deserializeError;
+module.exports.splitIndex = splitIndex;
@@ -0,0 +1,146 @@
+const { parentPort } = require('worker_threads');
+const DataService = require('./dataService');
+const SnapshotStore = require('./snapshotStore');
+const { createSources } = require('./sources');
+const { serializeError, deserializeError, splitIndex } = require('./refreshWorker');
+
+/**
+ * Entry point of the refresh worker thread (see RefreshWorker). Handles
+ * one message per call:
+ * - prepare: fetch, parse, index, validate and diff a dataset
+ * - commit: the main thread swapped in the last prepared dataset; keep
+ *   it and write it to disk
+ * - cancel: abort a prepare in progress
+ * - ack: the main thread has taken a batch of index entries
+ */
+
+// Map entries or array items per message when handing an index back. The
+// main thread deserializes each message in one go, so one huge message
+// would stall requests just like building the index there would.
+const ENTRIES_PER_MESSAGE = 250;
+
+let sources = null; // configured sources as { name, priority, source }, created on first use
+const sourceCache = new Map(); // source name -> { parsedData, stats, updatedAt } behind the live data
+let pending = null; // { parsedData, parsedSources, problemMap } of the last prepare, until committed
+let current = null; // { dataVersion, problemMap } of the last committed dataset, to diff against
+const controllers = new Map(); // call id -> AbortController
+const pendingAcks = new Map(); // call id -> resolve of the batch awaiting an ack
+
+async function prepare(id, { force, upstreamVersions, live }) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  pending = null;
+
+  try {
+    if (!sources) {
+      sources = createSources();
+    }
+    const { parsedData, parsedSources, ...prepared } = await DataService.prepareDataset({
+      sources,
+      sourceCache,
+      force,
+      upstreamVersions,
+      live,
+      previousMap: await previousMap(live),
+      signal: controller.signal,
+      onProgress: (phase, details) => parentPort.postMessage({ id, type: 'progress', phase, details })
+    });
+
+    if (prepared.index) {
+      pending = { parsedData, parsedSources, problemMap: prepared.index.problemMap };
+      prepared.index = await sendIndex(id, prepared.index);
+    }
+    return prepared;
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+/**
+ * The problemMap of the live dataset described by `live`, or null when
+ * there is none. After a restart or a worker respawn the worker has not
+ * seen that dataset yet, so it rebuilds it from its snapshot.
+ */
+async function previousMap(live) {
+  if (!live) {
+    return null;
+  }
+  if (current && current.dataVersion === live.dataVersion) {
+    return current.problemMap;
+  }
+
+  const snapshot = await SnapshotStore.loadLatest();
+  if (!snapshot || snapshot.dataVersion !== live.dataVersion) {
+    return null;
+  }
+  current = { dataVersion: snapshot.dataVersion, problemMap: DataService.buildProblemIndex(snapshot.data).problemMap };
+  return current.problemMap;
+}
+
+/**
+ * Post the index's maps and search index arrays ahead of the result, one
+ * batch at a time. Messages queued together are all delivered in one
+ * turn of the main event loop, so each batch waits for the previous
+ * one's ack. Returns the rest of the index, which RefreshWorker reunites
+ * with them.
+ */
+async function sendIndex(id, index) {
+  const { collections, rest } = splitIndex(index);
+
+  for (const [collection, entries] of Object.entries(collections)) {
+    for (let start = 0; start < entries.length; start += ENTRIES_PER_MESSAGE) {
+      const acked = new Promise(resolve => pendingAcks.set(id, resolve));
+      parentPort.postMessage({ id, type: 'entries', collection, entries: entries.slice(start, start + ENTRIES_PER_MESSAGE) });
+      await acked;
+    }
+  }
+
+  return rest;
+}
+
+async function commit(meta) {
+  if (!pending) {
+    throw new Error('No prepared dataset to commit');
+  }
+
+  const { parsedData, parsedSources, problemMap } = pending;
+  pending = null;
+  for (const [name, entry] of parsedSources) {
+    sourceCache.set(name, entry);
+  }
+  current = { dataVersion: meta.dataVersion, problemMap };
+
+  await SnapshotStore.save(parsedData, meta);
+  return null;
+}
+
+parentPort.on('message', async ({ id, type, payload, reason }) => {
+  if (type === 'ack') {
+    const resolve = pendingAcks.get(id);
+    pendingAcks.delete(id);
+    if (resolve) resolve();
+    return;
+  }
+
+  if (type === 'cancel') {
+    const controller = controllers.get(id);
+    if (controller) {
+      controller.abort(deserializeError(reason));
+    }
+    return;
+  }
+
+  try {
+    let result;
+    if (type === 'prepare') {
+      result = await prepare(id, payload);
+    } else if (type === 'commit') {
+      result = await commit(payload);
+    } else {
+      throw new Error(`Unknown refresh worker message "${type}"`);
+    }
+    parentPort.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    parentPort.postMessage({ id, type: 'error', error: serializeError(error) });
+  }
+});
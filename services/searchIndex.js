@@ -0,0 +1,292 @@
+/**
+ * In-memory full-text index over problem titles and slugs.
+ *
+ * Query tokens match index tokens exactly, by prefix or within a small edit
+ * distance ("djikstra" finds "dijkstra"). Results are ranked by match
+ * quality, whole-phrase matches and how many companies ask the problem.
+ */
+
+// Relative quality of each kind of token match
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = 0.6;
+const FUZZY_PENALTY_PER_EDIT = 0.15;
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // slug -> { slug, title, normalizedTitle, tokens, companyCount }
+    this.postings = new Map(); // token -> Set of slugs
+    this.sortedTokens = []; // every token, sorted for prefix lookups
+    this.maxCompanyCount = 0;
+  }
+
+  static build(problemMap) {
+    const index = new SearchIndex();
+
+    for (const problemData of problemMap.values()) {
+      index.add(problemData);
+    }
+    index.sortedTokens = [...index.postings.keys()].sort();
+
+    return index;
+  }
+
+  /**
+   * Rebuild an index from a structured clone of one (e.g. built in a
+   * worker thread), which keeps the data but not the class
+   */
+  static restore(data) {
+    return Object.assign(new SearchIndex(), data);
+  }
+
+  add(problemData) {
+    const normalizedTitle = this.normalize(problemData.problem);
+    const tokens = [...new Set([
+      ...this.tokenize(problemData.problem),
+      ...this.tokenize(problemData.slug)
+    ])];
+
+    this.documents.set(problemData.slug, {
+      slug: problemData.slug,
+      title: problemData.problem,
+      normalizedTitle: normalizedTitle,
+      tokens: tokens,
+      companyCount: problemData.companies.length
+    });
+    this.maxCompanyCount = Math.max(this.maxCompanyCount, problemData.companies.length);
+
+    for (const token of tokens) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+      }
+      this.postings.get(token).add(problemData.slug);
+    }
+  }
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  tokenize(text) {
+    const normalized = this.normalize(text);
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  /**
+   * Ranked search. `filter(slug)` can exclude documents before paging.
+   * Returns { total, results: [{ slug, score }] }.
+   */
+  search(query, { limit = 10, offset = 0, filter = null } = {}) {
+    const normalizedQuery = this.normalize(query);
+    const queryTokens = [...new Set(this.tokenize(query))];
+
+    if (queryTokens.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    // slug -> summed match quality across query tokens
+    const quality = new Map();
+    const matchedTokens = new Map();
+
+    for (const queryToken of queryTokens) {
+      const best = new Map(); // slug -> best quality for this query token
+
+      for (const [token, tokenQuality] of this.expandToken(queryToken)) {
+        for (const slug of this.postings.get(token)) {
+          best.set(slug, Math.max(best.get(slug) || 0, tokenQuality));
+        }
+      }
+
+      for (const [slug, tokenQuality] of best) {
+        quality.set(slug, (quality.get(slug) || 0) + tokenQuality);
+        matchedTokens.set(slug, (matchedTokens.get(slug) || 0) + 1);
+      }
+    }
+
+    // Plain substring matches keep working for fragments inside words
+    for (const doc of this.documents.values()) {
+      if (!quality.has(doc.slug) && doc.normalizedTitle.includes(normalizedQuery)) {
+        quality.set(doc.slug, PREFIX_MATCH * queryTokens.length);
+        matchedTokens.set(doc.slug, queryTokens.length);
+      }
+    }
+
+    const scored = [];
+
+    for (const [slug, total] of quality) {
+      // Every query token has to match something
+      if (matchedTokens.get(slug) < queryTokens.length) continue;
+      if (filter && !filter(slug)) continue;
+
+      const doc = this.documents.get(slug);
+      scored.push({ slug, score: this.rank(doc, normalizedQuery, total / queryTokens.length) });
+    }
+
+    scored.sort((a, b) => b.score - a.score ||
+      this.documents.get(a.slug).title.localeCompare(this.documents.get(b.slug).title));
+
+    return {
+      total: scored.length,
+      results: scored.slice(offset, offset + limit)
+    };
+  }
+
+  rank(doc, normalizedQuery, matchQuality) {
+    let score = matchQuality * 2;
+
+    if (doc.normalizedTitle === normalizedQuery) {
+      score += 3;
+    } else if (doc.normalizedTitle.startsWith(normalizedQuery)) {
+      score += 1.5;
+    } else if (doc.normalizedTitle.includes(normalizedQuery)) {
+      score += 1;
+    }
+
+    // Problems asked by more companies float up among equal matches
+    if (this.maxCompanyCount > 0) {
+      score += 0.5 * Math.log1p(doc.companyCount) / Math.log1p(this.maxCompanyCount);
+    }
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Index tokens a query token can match, with the quality of each match
+   */
+  expandToken(queryToken) {
+    const matches = new Map();
+
+    if (this.postings.has(queryToken)) {
+      matches.set(queryToken, EXACT_MATCH);
+    }
+
+    for (const token of this.tokensWithPrefix(queryToken)) {
+      if (!matches.has(token)) {
+        matches.set(token, PREFIX_MATCH);
+      }
+    }
+
+    const maxEdits = this.allowedEdits(queryToken);
+    if (maxEdits > 0) {
+      for (const token of this.sortedTokens) {
+        if (matches.has(token) || Math.abs(token.length - queryToken.length) > maxEdits) continue;
+
+        const distance = this.editDistance(queryToken, token, maxEdits);
+        if (distance <= maxEdits) {
+          matches.set(token, FUZZY_MATCH - FUZZY_PENALTY_PER_EDIT * (distance - 1));
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  allowedEdits(token) {
+    if (token.length <= 2) return 0;
+    if (token.length <= 5) return 1;
+    return 2;
+  }
+
+  tokensWithPrefix(prefix) {
+    const tokens = [];
+    let low = 0;
+    let high = this.sortedTokens.length;
+
+    // Binary search for the first token >= prefix
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTokens[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    for (let i = low; i < this.sortedTokens.length && this.sortedTokens[i].startsWith(prefix); i++) {
+      tokens.push(this.sortedTokens[i]);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent
+   * transpositions). Gives up early once every path exceeds `maxDistance`.
+   */
+  editDistance(a, b, maxDistance = Infinity) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    let previousPrevious = null;
+    let previous = Array.from({ length: cols }, (_, j) => j);
+
+    for (let i = 1; i < rows; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j < cols; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousPrevious[j - 2] + 1);
+        }
+
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > maxDistance) {
+        return rowMin;
+      }
+
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[cols - 1];
+  }
+
+  /**
+   * Autocomplete: titles that start with the query, then titles where the
+   * last query word starts a title word and the earlier words match whole.
+   */
+  suggest(query, { limit = 8 } = {}) {
+    const normalizedQuery = this.normalize(query);
+    const queryTokens = this.tokenize(query);
+
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const leading = queryTokens.slice(0, -1);
+    const last = queryTokens[queryTokens.length - 1];
+    const suggestions = [];
+
+    for (const doc of this.documents.values()) {
+      let rank = null;
+
+      if (doc.normalizedTitle.startsWith(normalizedQuery)) {
+        rank = 0;
+      } else if (leading.every(token => doc.tokens.includes(token)) &&
+        doc.tokens.some(token => token.startsWith(last))) {
+        rank = 1;
+      }
+
+      if (rank !== null) {
+        suggestions.push({ doc, rank });
+      }
+    }
+
+    suggestions.sort((a, b) => a.rank - b.rank ||
+      b.doc.companyCount - a.doc.companyCount ||
+      a.doc.title.localeCompare(b.doc.title));
+
+    return suggestions.slice(0, limit).map(({ doc }) => doc.slug);
+  }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs').promises;
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Bump when the snapshot layout changes so old files are skipped
+const SNAPSHOT_FORMAT_VERSION = 1;
+const SNAPSHOT_PREFIX = 'snapshot-';
+
+class SnapshotStore {
+  constructor() {
+    this.snapshotDir = path.join(__dirname, '../data/snapshots');
+    this.maxSnapshots = config.snapshots.keep;
+  }
+
+  /**
+   * Write the parsed dataset to disk as a new versioned snapshot.
+   * The file is written under a temporary name and renamed into place so a
+   * crash mid-write never leaves a truncated snapshot behind.
+   */
+  async save(parsedData, { dataVersion, totalProblems, totalCompanies, changeHistory = [], upstreamVersions = {} }) {
+    await fs.mkdir(this.snapshotDir, { recursive: true });
+
+    const snapshot = {
+      formatVersion: SNAPSHOT_FORMAT_VERSION,
+      dataVersion: dataVersion,
+      createdAt: new Date().toISOString(),
+      totalProblems: totalProblems,
+      totalCompanies: totalCompanies,
+      changeHistory: changeHistory,
+      upstreamVersions: upstreamVersions,
+      data: parsedData
+    };
+
+    const fileName = `${SNAPSHOT_PREFIX}${dataVersion.replace(/[:.]/g, '-')}.json`;
+    const filePath = path.join(this.snapshotDir, fileName);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, filePath);
+
+    logger.info(`Snapshot saved: ${fileName}`);
+    await this.prune();
+
+    return filePath;
+  }
+
+  /**
+   * Load the newest snapshot that parses and passes validation.
+   * Returns null when no usable snapshot exists.
+   */
+  async loadLatest() {
+    const fileNames = await this.listSnapshots();
+
+    for (const fileName of fileNames) {
+      try {
+        const content = await fs.readFile(path.join(this.snapshotDir, fileName), 'utf8');
+        const snapshot = JSON.parse(content);
+
+        if (!this.isValid(snapshot)) {
+          logger.warn(`Skipping invalid snapshot: ${fileName}`);
+          continue;
+        }
+
+        logger.info(`Loaded snapshot: ${fileName}`);
+        return snapshot;
+      } catch (error) {
+        logger.warn(`Skipping unreadable snapshot ${fileName}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  isValid(snapshot) {
+    return Boolean(snapshot) &&
+      snapshot.formatVersion === SNAPSHOT_FORMAT_VERSION &&
+      typeof snapshot.dataVersion === 'string' &&
+      snapshot.data !== null &&
+      typeof snapshot.data === 'object' &&
+      Object.keys(snapshot.data).length > 0;
+  }
+
+  /**
+   * Snapshot file names, newest first
+   */
+  async listSnapshots() {
+    try {
+      const fileNames = await fs.readdir(this.snapshotDir);
+      return fileNames
+        .filter(name => name.startsWith(SNAPSHOT_PREFIX) && name.endsWith('.json'))
+        .sort()
+        .reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async prune() {
+    const fileNames = await this.listSnapshots();
+
+    for (const fileName of fileNames.slice(this.maxSnapshots)) {
+      try {
+        await fs.unlink(path.join(this.snapshotDir, fileName));
+        logger.debug(`Removed old snapshot: ${fileName}`);
+      } catch (error) {
+        logger.warn(`Failed to remove old snapshot ${fileName}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new SnapshotStore();
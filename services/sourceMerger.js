@@ -0,0 +1,124 @@
+const CompanyRegistry = require('./companyRegistry');
+const Normalizer = require('./normalizer');
+
+/**
+ * Combines parsed datasets from several sources into one, company by
+ * company and range by range, and tags every problem row with the
+ * `sources` it came from.
+ *
+ * When more than one source has the same company and range:
+ * - max: keep every problem, taking the highest frequency any source reports
+ * - latest: take the rows of the most recently updated source
+ * - priority: take the rows of the highest-priority source
+ */
+class SourceMerger {
+  /**
+   * `datasets` is a list of { name, priority, updatedAt, parsedData } in
+   * configuration order. Returns parsed data in the usual
+   * { companyName: { timeRange: problems } } shape.
+   */
+  merge(datasets, policy = 'max') {
+    // Highest priority first; sort is stable so config order breaks ties
+    const ordered = [...datasets].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    const companies = new Map(); // company key -> { name, ranges: Map(range -> [{ dataset, rows }]) }
+
+    for (const dataset of ordered) {
+      for (const [rawCompanyName, timeRanges] of Object.entries(dataset.parsedData)) {
+        const companyKey = CompanyRegistry.toKey(CompanyRegistry.canonicalize(rawCompanyName));
+        if (!companies.has(companyKey)) {
+          companies.set(companyKey, { name: rawCompanyName, ranges: new Map() });
+        }
+        const company = companies.get(companyKey);
+
+        for (const [timeRange, rows] of Object.entries(timeRanges)) {
+          if (!company.ranges.has(timeRange)) {
+            company.ranges.set(timeRange, []);
+          }
+          company.ranges.get(timeRange).push({ dataset, rows });
+        }
+      }
+    }
+
+    const parsedData = {};
+    for (const { name, ranges } of companies.values()) {
+      parsedData[name] = {};
+      for (const [timeRange, candidates] of ranges) {
+        parsedData[name][timeRange] = this.mergeRange(candidates, policy);
+      }
+    }
+
+    return parsedData;
+  }
+
+  mergeRange(candidates, policy) {
+    if (policy === 'max') {
+      return this.mergeByMaxFrequency(candidates);
+    }
+
+    const winner = policy === 'latest' ? this.latestDataset(candidates) : candidates[0].dataset;
+
+    // One source can list a company under two aliased folders; keep both
+    return candidates
+      .filter(candidate => candidate.dataset === winner)
+      .flatMap(candidate => candidate.rows.map(row => this.tag(row, [winner.name])));
+  }
+
+  /**
+   * The most recently updated source, falling back to priority order
+   * when the dates tie or are unknown
+   */
+  latestDataset(candidates) {
+    let latest = candidates[0].dataset;
+    let latestTime = Date.parse(latest.updatedAt) || -Infinity;
+
+    for (const { dataset } of candidates) {
+      const time = Date.parse(dataset.updatedAt) || -Infinity;
+      if (time > latestTime) {
+        latest = dataset;
+        latestTime = time;
+      }
+    }
+
+    return latest;
+  }
+
+  mergeByMaxFrequency(candidates) {
+    const merged = new Map(); // problem key -> row
+
+    for (const { dataset, rows } of candidates) {
+      for (const row of rows) {
+        const key = Normalizer.slugFromUrl(row.link) || Normalizer.titleToSlug(row.title);
+        const existing = merged.get(key);
+
+        if (!existing) {
+          merged.set(key, this.tag(row, [dataset.name]));
+          continue;
+        }
+
+        if (!existing.sources.includes(dataset.name)) {
+          existing.sources.push(dataset.name);
+        }
+        existing.frequency = Math.max(existing.frequency || 0, row.frequency || 0);
+
+        // Higher-priority details win; later sources only fill gaps
+        for (const field of ['id', 'difficulty', 'acceptanceRate', 'link']) {
+          if (existing[field] === null || existing[field] === undefined) {
+            existing[field] = row[field];
+          }
+        }
+        existing.topics = [...new Set([...(existing.topics || []), ...(row.topics || [])])];
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Copy of a row with its provenance; cached source data stays untouched
+   */
+  tag(row, sources) {
+    return { ...row, topics: [...(row.topics || [])], sources: sources };
+  }
+}
+
+module.exports = new SourceMerger();
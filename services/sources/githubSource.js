@@ -0,0 +1,32 @@
+const GitHubFetcher = require('../githubFetcher');
+
+/**
+ * Loads the upstream repository from GitHub, either as a single ZIP
+ * download or file-by-file through the GitHub API. Pass owner, repo or
+ * branch to read a fork instead of the configured repository.
+ */
+class GitHubSource {
+  constructor({ mode = 'zip', owner, repo, branch } = {}) {
+    this.mode = mode;
+    this.name = mode === 'api' ? 'github-api' : 'github';
+    this.fetcher = owner || repo || branch
+      ? new GitHubFetcher.GitHubFetcher({ owner, repo, branch })
+      : GitHubFetcher;
+  }
+
+  describe() {
+    return `GitHub ${this.fetcher.repoId} (${this.mode})`;
+  }
+
+  /**
+   * Skips the download (repoData: null) when upstream is still at `since`
+   */
+  async fetch({ since = null, signal = null } = {}) {
+    if (this.mode === 'api') {
+      return this.fetcher.fetchRepositoryViaAPI({ since, signal });
+    }
+    return this.fetcher.fetchRepository({ since, signal });
+  }
+}
+
+module.exports = GitHubSource;
@@ -0,0 +1,64 @@
+const GitHubSource = require('./githubSource');
+const LocalDirectorySource = require('./localDirectorySource');
+const LocalZipSource = require('./localZipSource');
+const LocalDumpSource = require('./localDumpSource');
+const config = require('../../config');
+
+const { SOURCE_TYPES } = config;
+
+/**
+ * Create the data source selected by configuration.
+ *
+ * Every source exposes `name`, `describe()` and
+ * `async fetch({ since, signal })`, which resolves to
+ * { repoData, version, updatedAt }: repoData is
+ * { companyName: { timeRange: csvContent } }, or null when the source can
+ * tell nothing changed since the `since` version it was given. `version`
+ * is opaque to callers and may be null for sources that can't tell.
+ * `updatedAt` is when the data itself last changed, if known. Aborting
+ * `signal` rejects the fetch with the signal's reason.
+ */
+function createSource({
+  type = config.source.type,
+  path = config.source.path,
+  owner,
+  repo,
+  branch
+} = {}) {
+  switch (type) {
+    case 'github':
+      return new GitHubSource({ mode: 'zip', owner, repo, branch });
+    case 'github-api':
+      return new GitHubSource({ mode: 'api', owner, repo, branch });
+    case 'local-dir':
+      return new LocalDirectorySource({ dirPath: path });
+    case 'local-zip':
+      return new LocalZipSource({ zipPath: path });
+    case 'local-dump':
+      return new LocalDumpSource({ dumpPath: path });
+    default:
+      throw new Error(`Unknown data source "${type}". Must be one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Every configured source as { name, priority, source }. Without a
+ * `sources` list, the single `source` setting is the only one.
+ */
+function createSources(definitions = config.sources) {
+  if (definitions.length === 0) {
+    return [{ name: config.source.type, priority: 0, source: createSource() }];
+  }
+
+  return definitions.map(definition => ({
+    name: definition.name,
+    priority: definition.priority || 0,
+    source: createSource(definition)
+  }));
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  createSource,
+  createSources
+};
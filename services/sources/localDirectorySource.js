@@ -0,0 +1,63 @@
+const path = require('path');
+const fs = require('fs').promises;
+const RepoLayout = require('./repoLayout');
+const logger = require('../../utils/logger');
+
+/**
+ * Loads company CSVs from a local folder laid out like the upstream
+ * repository (<dir>/<CompanyName>/<Range File>.csv).
+ */
+class LocalDirectorySource {
+  constructor({ dirPath }) {
+    if (!dirPath) {
+      throw new Error('Local directory source requires a path');
+    }
+    this.name = 'local-dir';
+    this.dirPath = path.resolve(dirPath);
+  }
+
+  describe() {
+    return `local directory ${this.dirPath}`;
+  }
+
+  async fetch({ signal = null } = {}) {
+    logger.info(`Reading CSV files from ${this.dirPath}...`);
+
+    const filePaths = await this.listFiles(this.dirPath);
+    const files = [];
+    let newest = 0;
+
+    for (const filePath of filePaths) {
+      if (signal) signal.throwIfAborted();
+      const relativePath = path.relative(this.dirPath, filePath);
+      const content = await fs.readFile(filePath, 'utf8');
+      const { mtimeMs } = await fs.stat(filePath);
+      newest = Math.max(newest, mtimeMs);
+      files.push({ path: relativePath, read: () => content });
+    }
+
+    return {
+      repoData: RepoLayout.collectFiles(files),
+      version: null,
+      updatedAt: newest > 0 ? new Date(newest).toISOString() : null
+    };
+  }
+
+  async listFiles(dirPath) {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const filePaths = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        filePaths.push(...await this.listFiles(entryPath));
+      } else if (entry.isFile() && entry.name.endsWith('.csv')) {
+        filePaths.push(entryPath);
+      }
+    }
+
+    return filePaths;
+  }
+}
+
+module.exports = LocalDirectorySource;
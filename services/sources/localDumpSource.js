@@ -0,0 +1,131 @@
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const Papa = require('papaparse');
+const TimeRanges = require('../timeRanges');
+const logger = require('../../utils/logger');
+
+const FORMAT = 'leetcode-companywise-dump';
+const VERSION = 1;
+
+/**
+ * Loads a full NDJSON dump written by another instance's
+ * GET /api/export?dump=true. Each company's problems are turned back
+ * into one CSV per time range, so the dump goes through the same
+ * parsing and validation as upstream data.
+ */
+class LocalDumpSource {
+  constructor({ dumpPath }) {
+    if (!dumpPath) {
+      throw new Error('Local dump source requires a path');
+    }
+    this.name = 'local-dump';
+    this.dumpPath = path.resolve(dumpPath);
+  }
+
+  describe() {
+    return `local dump ${this.dumpPath}`;
+  }
+
+  async fetch({ signal = null } = {}) {
+    logger.info(`Reading dataset dump from ${this.dumpPath}...`);
+
+    const companies = new Map(); // company name -> { timeRange: rows }
+    const knownRanges = new Set(TimeRanges.keys);
+    const skippedRanges = new Set();
+    let header = null;
+    let lineNumber = 0;
+
+    const input = fs.createReadStream(this.dumpPath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (signal) signal.throwIfAborted();
+        lineNumber++;
+        if (line.trim().length === 0) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${lineNumber} of ${this.dumpPath}`);
+        }
+
+        if (!header) {
+          this.checkHeader(record);
+          header = record;
+          continue;
+        }
+
+        if (record.type !== 'problem') continue;
+
+        for (const company of record.companies || []) {
+          if (!companies.has(company.name)) {
+            companies.set(company.name, {});
+          }
+          const timeRanges = companies.get(company.name);
+
+          for (const [timeRange, frequency] of Object.entries(company.ranges || {})) {
+            // Ranges this instance isn't configured for have nowhere to go
+            if (!knownRanges.has(timeRange)) {
+              skippedRanges.add(timeRange);
+              continue;
+            }
+            if (!timeRanges[timeRange]) {
+              timeRanges[timeRange] = [];
+            }
+            timeRanges[timeRange].push([
+              record.id,
+              record.difficulty,
+              record.title,
+              frequency === null ? 0 : frequency, // null: listed with no frequency
+              record.acceptanceRate,
+              record.link,
+              (record.topics || []).join(', ')
+            ]);
+          }
+        }
+      }
+    } finally {
+      // Stopping early (bad line, abort) must not leak the file handle
+      input.destroy();
+    }
+
+    if (!header) {
+      throw new Error(`Dataset dump ${this.dumpPath} is empty`);
+    }
+
+    if (skippedRanges.size > 0) {
+      logger.warn(`Skipped unknown time ranges in dump: ${[...skippedRanges].join(', ')}`);
+    }
+
+    const repoData = {};
+    for (const [companyName, timeRanges] of companies) {
+      repoData[companyName] = {};
+      for (const [timeRange, rows] of Object.entries(timeRanges)) {
+        repoData[companyName][timeRange] = Papa.unparse({
+          fields: ['ID', 'Difficulty', 'Title', 'Frequency', 'Acceptance Rate', 'Link', 'Topics'],
+          data: rows
+        });
+      }
+    }
+
+    logger.info(`✅ Loaded ${companies.size} companies from dump (data version ${header.dataVersion || 'unknown'})`);
+
+    return { repoData, version: null, updatedAt: header.dataVersion || null };
+  }
+
+  checkHeader(record) {
+    if (record.type !== 'header' || record.format !== FORMAT) {
+      throw new Error(`${this.dumpPath} is not a dataset dump (missing "${FORMAT}" header)`);
+    }
+    if (record.version > VERSION) {
+      throw new Error(`Dataset dump version ${record.version} is newer than supported version ${VERSION}`);
+    }
+  }
+}
+
+module.exports = LocalDumpSource;
+module.exports.FORMAT = FORMAT;
+module.exports.VERSION = VERSION;
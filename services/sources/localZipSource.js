@@ -0,0 +1,36 @@
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const RepoLayout = require('./repoLayout');
+const logger = require('../../utils/logger');
+
+/**
+ * Loads company CSVs from a ZIP archive on disk, e.g. a copy of the
+ * GitHub repository download kept for air-gapped deployments.
+ */
+class LocalZipSource {
+  constructor({ zipPath }) {
+    if (!zipPath) {
+      throw new Error('Local ZIP source requires a path');
+    }
+    this.name = 'local-zip';
+    this.zipPath = path.resolve(zipPath);
+  }
+
+  describe() {
+    return `local ZIP ${this.zipPath}`;
+  }
+
+  async fetch({ signal = null } = {}) {
+    logger.info(`Extracting ${this.zipPath}...`);
+
+    const buffer = await fs.readFile(this.zipPath);
+    if (signal) signal.throwIfAborted();
+    const { mtime } = await fs.stat(this.zipPath);
+    const zip = new AdmZip(buffer);
+
+    return { repoData: RepoLayout.extractFromZip(zip), version: null, updatedAt: mtime.toISOString() };
+  }
+}
+
+module.exports = LocalZipSource;
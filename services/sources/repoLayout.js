@@ -0,0 +1,118 @@
+const TimeRanges = require('../timeRanges');
+const logger = require('../../utils/logger');
+
+/**
+ * Knows how the company-wise repository is laid out on disk:
+ * <CompanyName>/<Range File>.csv, optionally under a root folder.
+ * Every data source funnels its files through here so they all map
+ * file names to time ranges the same way.
+ */
+class RepoLayout {
+  constructor() {
+    // Map actual file names to standardized time ranges (see config ranges)
+    this.fileMapping = TimeRanges.fileMapping();
+  }
+
+  /**
+   * Resolve a relative CSV path (e.g. "repo-main/Google/1. Thirty Days.csv")
+   * to its company and time range. Returns null for files we don't use.
+   */
+  resolvePath(filePath) {
+    if (!filePath.endsWith('.csv')) {
+      return null;
+    }
+
+    // Expected: [root/]CompanyName/FileName.csv
+    const parts = filePath.split(/[\\/]/).filter(part => part.length > 0);
+
+    if (parts.length < 2) {
+      logger.debug(`Skipping invalid path: ${filePath} (not enough parts)`);
+      return null;
+    }
+
+    // Company name is the folder the file sits in
+    const companyName = parts[parts.length - 2];
+    const fileName = parts[parts.length - 1];
+    const timeRange = this.fileMapping[fileName];
+
+    if (!timeRange) {
+      logger.debug(`Skipping unrecognized file: ${fileName} in ${companyName}`);
+      return null;
+    }
+
+    return { companyName, fileName, timeRange };
+  }
+
+  /**
+   * Collect company CSVs from an adm-zip archive into
+   * { companyName: { timeRange: csvContent } }
+   */
+  extractFromZip(zip) {
+    const zipEntries = zip.getEntries();
+    logger.info(`Total entries in ZIP: ${zipEntries.length}`);
+
+    const files = zipEntries
+      .filter(entry => !entry.isDirectory)
+      .map(entry => ({
+        path: entry.entryName,
+        read: () => entry.getData().toString('utf8')
+      }));
+
+    return this.collectFiles(files);
+  }
+
+  /**
+   * Build repo data from a list of { path, read() } files
+   */
+  collectFiles(files) {
+    const repoData = {};
+    let csvCount = 0;
+    let skippedCount = 0;
+
+    for (const file of files) {
+      if (!file.path.endsWith('.csv')) {
+        continue;
+      }
+
+      const resolved = this.resolvePath(file.path);
+      if (!resolved) {
+        skippedCount++;
+        continue;
+      }
+
+      const { companyName, fileName, timeRange } = resolved;
+
+      // Initialize company data structure
+      if (!repoData[companyName]) {
+        repoData[companyName] = {};
+        logger.debug(`  New company: ${companyName}`);
+      }
+
+      repoData[companyName][timeRange] = file.read();
+      csvCount++;
+      logger.info(`✓ Loaded: ${companyName}/${fileName} -> ${timeRange}`);
+    }
+
+    const companyCount = Object.keys(repoData).length;
+    logger.info(`✅ Successfully loaded ${csvCount} CSV files from ${companyCount} companies`);
+    logger.info(`Skipped ${skippedCount} files`);
+
+    if (companyCount === 0) {
+      logger.error('No company data found. Listing all CSV files found:');
+      files.forEach(file => {
+        if (file.path.endsWith('.csv')) {
+          logger.error(`  Found CSV: ${file.path}`);
+        }
+      });
+      throw new Error('No company data found in repository. Check file structure.');
+    }
+
+    // Log sample of what was loaded
+    const sampleCompanies = Object.keys(repoData).slice(0, 5);
+    logger.info(`Sample companies: ${sampleCompanies.join(', ')}`);
+
+    return repoData;
+  }
+}
+
+module.exports = new RepoLayout();
@@ -0,0 +1,114 @@
+const TimeRanges = require('./timeRanges');
+
+// How recently a company asked a problem, by its last_seen range
+const RECENCY_WEIGHTS = TimeRanges.weights('recencyWeight');
+
+// Share of the priority taken by each signal
+const PRIORITY_WEIGHTS = {
+  recency: 0.45,
+  frequency: 0.35,
+  spread: 0.2
+};
+
+// Seeded jitter so different seeds give different, still sensible, plans
+const JITTER = 0.05;
+
+const DIFFICULTY_ORDER = { Easy: 0, Medium: 1, Hard: 2 };
+const DAYS_PER_WEEK = 7;
+
+class StudyPlanner {
+  /**
+   * Rank a company's problems and lay them out as weeks of daily lists.
+   *
+   * Priority mixes recency (last_seen), frequency relative to the company's
+   * most asked problem, and spread (how many of the company's time ranges
+   * list the problem). The order depends only on the entries, the data
+   * version and the seed, so the same inputs always give the same plan.
+   */
+  generatePlan({ company, entries, rangeCount, dataVersion, weeks, perDay, seed }) {
+    const maxFrequency = Math.max(1, ...entries.map(({ companyEntry }) => companyEntry.frequency));
+
+    const ranked = entries
+      .map(({ problemData, companyEntry }) => {
+        const recency = RECENCY_WEIGHTS[companyEntry.last_seen] || 0;
+        const frequency = companyEntry.frequency / maxFrequency;
+        const spread = Object.keys(companyEntry.timeRanges).length / Math.max(rangeCount, 1);
+        const priority =
+          recency * PRIORITY_WEIGHTS.recency +
+          frequency * PRIORITY_WEIGHTS.frequency +
+          spread * PRIORITY_WEIGHTS.spread;
+        const jitter = this.hash(`${seed}:${dataVersion}:${problemData.slug}`) * JITTER;
+
+        return {
+          problemData,
+          companyEntry,
+          priority: Math.round(priority * 1000) / 1000,
+          sortKey: priority + jitter
+        };
+      })
+      .sort((a, b) => b.sortKey - a.sortKey || a.problemData.slug.localeCompare(b.problemData.slug));
+
+    const capacity = weeks * DAYS_PER_WEEK * perDay;
+    const selected = ranked.slice(0, capacity);
+    const plan = [];
+
+    for (let week = 0; week < weeks; week++) {
+      const days = [];
+
+      for (let day = 0; day < DAYS_PER_WEEK; day++) {
+        const start = (week * DAYS_PER_WEEK + day) * perDay;
+        const dayItems = selected.slice(start, start + perDay);
+        if (dayItems.length === 0) break;
+
+        // Warm up with the easier problems of the day
+        dayItems.sort((a, b) => this.difficultyRank(a) - this.difficultyRank(b));
+
+        days.push({
+          day: week * DAYS_PER_WEEK + day + 1,
+          problems: dayItems.map(item => ({
+            problem: item.problemData.problem,
+            slug: item.problemData.slug,
+            difficulty: item.problemData.difficulty,
+            link: item.problemData.link,
+            frequency: item.companyEntry.frequency,
+            last_seen: item.companyEntry.last_seen,
+            priority: item.priority
+          }))
+        });
+      }
+
+      if (days.length === 0) break;
+      plan.push({ week: week + 1, days });
+    }
+
+    return {
+      company: company,
+      dataVersion: dataVersion,
+      seed: seed,
+      weeks: weeks,
+      perDay: perDay,
+      totalProblems: entries.length,
+      scheduled: selected.length,
+      plan: plan
+    };
+  }
+
+  difficultyRank(item) {
+    const rank = DIFFICULTY_ORDER[item.problemData.difficulty];
+    return rank === undefined ? 1 : rank;
+  }
+
+  /**
+   * FNV-1a hash of a string, scaled to [0, 1)
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+  }
+}
+
+module.exports = new StudyPlanner();
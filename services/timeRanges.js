@@ -0,0 +1,100 @@
+const config = require('../config');
+
+/**
+ * The configured time ranges, from most to least recent. Everything that
+ * validates, filters, orders or weights ranges goes through here so the
+ * definitions can't drift apart.
+ */
+class TimeRanges {
+  constructor(ranges = config.ranges) {
+    this.ranges = ranges;
+    this.keys = ranges.map(range => range.key);
+    this.params = ranges.map(range => range.param);
+    this.byParam = new Map(ranges.map(range => [range.param, range]));
+    this.byKey = new Map(ranges.map(range => [range.key, range]));
+  }
+
+  /**
+   * The least recent range, which covers everything
+   */
+  get widest() {
+    return this.keys[this.keys.length - 1];
+  }
+
+  get widestParam() {
+    return this.params[this.params.length - 1];
+  }
+
+  isValidParam(param) {
+    return this.byParam.has(String(param));
+  }
+
+  /**
+   * Error message for an unknown ?range= value
+   */
+  invalidParamMessage() {
+    return `Invalid range. Must be one of: ${this.params.join(', ')}`;
+  }
+
+  /**
+   * Range key for an API param ("90" -> "90-days"); keys pass through
+   */
+  resolve(paramOrKey) {
+    const range = this.byParam.get(String(paramOrKey)) || this.byKey.get(paramOrKey);
+    return range ? range.key : null;
+  }
+
+  /**
+   * Ranges up to and including `paramOrKey`, most recent first. Unknown or
+   * missing ranges include everything.
+   */
+  through(paramOrKey) {
+    const index = this.keys.indexOf(this.resolve(paramOrKey));
+    return index === -1 ? [...this.keys] : this.keys.slice(0, index + 1);
+  }
+
+  rank(key) {
+    const index = this.keys.indexOf(key);
+    return index === -1 ? this.keys.length : index;
+  }
+
+  sort(keys) {
+    return keys.sort((a, b) => this.rank(a) - this.rank(b));
+  }
+
+  /**
+   * Most recent of `keys`, falling back to the widest range
+   */
+  shortest(keys) {
+    return this.keys.find(key => keys.includes(key)) || this.widest;
+  }
+
+  /**
+   * Upstream CSV file name -> range key
+   */
+  fileMapping() {
+    const mapping = {};
+    for (const range of this.ranges) {
+      for (const file of range.files) {
+        mapping[file] = range.key;
+      }
+    }
+    return mapping;
+  }
+
+  /**
+   * { rangeKey: weight } for one of the per-range weight fields
+   */
+  weights(field) {
+    return Object.fromEntries(this.ranges.map(range => [range.key, range[field]]));
+  }
+
+  /**
+   * Range keys in a trend group ('recent' or 'baseline'), most recent first
+   */
+  trendGroup(group) {
+    return this.ranges.filter(range => range.trend === group).map(range => range.key);
+  }
+}
+
+module.exports = new TimeRanges();
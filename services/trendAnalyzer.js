@@ -0,0 +1,71 @@
+const TimeRanges = require('./timeRanges');
+
+// Weight of each time range in the recency score: recent asks count most
+const RANGE_WEIGHTS = TimeRanges.weights('scoreWeight');
+
+// Ranges compared to decide whether a problem is heating up, most specific first
+const RECENT_RANGES = TimeRanges.trendGroup('recent');
+const BASELINE_RANGES = TimeRanges.trendGroup('baseline').reverse();
+
+const RISING_RATIO = 1.2;
+const COOLING_RATIO = 0.8;
+
+class TrendAnalyzer {
+  /**
+   * Classify a company's interest in a problem as rising, stable or cooling
+   * by comparing its most recent frequency against its long-term frequency.
+   */
+  computeTrend(frequencies) {
+    const recent = this.firstFrequency(frequencies, RECENT_RANGES);
+    const baseline = this.firstFrequency(frequencies, BASELINE_RANGES);
+
+    if (recent === null && baseline === null) {
+      return 'stable';
+    }
+
+    // Only seen long ago, or only seen lately
+    if (recent === null) {
+      return 'cooling';
+    }
+    if (baseline === null || baseline === 0) {
+      return 'rising';
+    }
+
+    const ratio = recent / baseline;
+    if (ratio >= RISING_RATIO) {
+      return 'rising';
+    }
+    if (ratio <= COOLING_RATIO) {
+      return 'cooling';
+    }
+    return 'stable';
+  }
+
+  /**
+   * Recency-weighted score: the sum of each range's frequency times its
+   * weight. Pass `ranges` to only score part of the history.
+   */
+  computeScore(frequencies, ranges = Object.keys(frequencies)) {
+    let score = 0;
+
+    for (const range of ranges) {
+      const frequency = frequencies[range];
+      if (typeof frequency === 'number') {
+        score += frequency * (RANGE_WEIGHTS[range] || 0);
+      }
+    }
+
+    return Math.round(score * 100) / 100;
+  }
+
+  firstFrequency(frequencies, ranges) {
+    for (const range of ranges) {
+      if (typeof frequencies[range] === 'number') {
+        return frequencies[range];
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new TrendAnalyzer();
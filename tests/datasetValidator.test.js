@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DatasetValidator = require('../services/datasetValidator');
+const DataService = require('../services/dataService');
+const RefreshWorker = require('../services/refreshWorker');
+
+const STATS = { totalFiles: 4, failedFiles: 0, totalRows: 100, rowErrors: 0 };
+
+function index({ problems, companies }) {
+  return { totalProblems: problems, totalCompanies: companies, companyMap: new Map() };
+}
+
+test('an empty dataset is invalid and fatal', () => {
+  const validation = DatasetValidator.validate(index({ problems: 0, companies: 0 }), null, STATS);
+
+  assert.strictEqual(validation.valid, false);
+  assert.strictEqual(validation.fatal, true);
+  assert.deepStrictEqual(validation.reasons, ['Dataset is empty']);
+});
+
+test('threshold failures are not fatal', () => {
+  const live = index({ problems: 1000, companies: 100 });
+  const validation = DatasetValidator.validate(index({ problems: 100, companies: 100 }), live, STATS);
+
+  assert.strictEqual(validation.valid, false);
+  assert.strictEqual(validation.fatal, false);
+});
+
+function source(repoData) {
+  return { name: 'test', priority: 0, source: { describe: () => 'test', fetch: async () => ({ repoData, version: null }) } };
+}
+
+test('a forced refresh still rejects an empty dataset', async () => {
+  const prepared = await DataService.prepareDataset({ sources: [source({})], sourceCache: new Map(), force: true });
+
+  assert.strictEqual(prepared.rejected, true);
+  assert.deepStrictEqual(prepared.validation.reasons, ['Dataset is empty']);
+  assert.strictEqual(prepared.index, undefined);
+});
+
+test('a rejected dataset never goes live', async (t) => {
+  const validation = { valid: false, fatal: true, reasons: ['Dataset is empty'], metrics: {} };
+  t.mock.method(RefreshWorker, 'prepare', async () => ({ changed: true, versions: {}, validation, rejected: true }));
+  const swapIndex = t.mock.method(DataService, 'swapIndex');
+
+  await assert.rejects(DataService.updateData({ force: true }), { code: 'DATASET_REJECTED' });
+  assert.strictEqual(swapIndex.mock.callCount(), 0);
+  assert.strictEqual(DataService.lastValidation.status, 'rejected');
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+
+const FILES = {
+  'Google/1. Thirty Days.csv': 'Title,Frequency\nTwo Sum,80\n',
+  'Google/5. All.csv': 'Title,Frequency\nTwo Sum,90\nNumber of Islands,70\n'
+};
+
+/**
+ * Fake GitHub: the commit API, the tree API, raw files and the branch ZIP.
+ * Tests change `upstream` to move the branch and read `requests` to see
+ * what the fetcher asked for.
+ */
+const upstream = {
+  sha: 'a'.repeat(40),
+  zipEtag: '"zip-1"',
+  files: { ...FILES },
+  failures: new Map() // request path -> 5xx responses left to send
+};
+const requests = [];
+
+function blobSha(content) {
+  return crypto.createHash('sha1').update(`blob ${Buffer.byteLength(content)}\0${content}`).digest('hex');
+}
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  for (const [filePath, content] of Object.entries(files)) {
+    zip.addFile(`repo-main/${filePath}`, Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+const server = http.createServer((req, res) => {
+  const url = decodeURIComponent(req.url.split('?')[0]);
+  requests.push(url);
+
+  const failures = upstream.failures.get(url) || 0;
+  if (failures > 0) {
+    upstream.failures.set(url, failures - 1);
+    res.statusCode = 503;
+    return res.end('busy');
+  }
+
+  if (url.startsWith('/repos/test/repo/commits/')) {
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({ sha: upstream.sha, commit: { committer: { date: '2026-01-01T00:00:00Z' } } }));
+  }
+
+  if (url.startsWith('/repos/test/repo/git/trees/')) {
+    const tree = Object.entries(upstream.files)
+      .map(([filePath, content]) => ({ path: `repo/${filePath}`, type: 'blob', sha: blobSha(content) }));
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({ sha: upstream.sha, tree, truncated: false }));
+  }
+
+  if (url === '/test/repo/archive/refs/heads/main.zip') {
+    if (req.headers['if-none-match'] === upstream.zipEtag) {
+      res.statusCode = 304;
+      return res.end();
+    }
+    res.setHeader('ETag', upstream.zipEtag);
+    return res.end(zipOf(upstream.files));
+  }
+
+  const raw = url.match(/^\/test\/repo\/[0-9a-f]{40}\/repo\/(.+)$/);
+  if (raw && upstream.files[raw[1]] !== undefined) {
+    return res.end(upstream.files[raw[1]]);
+  }
+
+  res.statusCode = 404;
+  res.end('Not Found');
+});
+
+let fetcher;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Config is read on first require, so point it at the fake server first
+  process.env.GITHUB_API_URL = baseUrl;
+  process.env.GITHUB_DOWNLOAD_URL = baseUrl;
+  process.env.GITHUB_RAW_URL = baseUrl;
+  process.env.GITHUB_RETRY_DELAY_MS = '1';
+  process.env.LOG_LEVEL = 'ERROR';
+
+  const { GitHubFetcher } = require('../services/githubFetcher');
+  fetcher = new GitHubFetcher({ owner: 'test', repo: 'repo', branch: 'main' });
+});
+
+test.after(async () => {
+  server.close();
+  if (fetcher) {
+    await fs.promises.rm(fetcher.blobDir, { recursive: true, force: true });
+  }
+});
+
+test.beforeEach(() => {
+  upstream.sha = 'a'.repeat(40);
+  upstream.zipEtag = '"zip-1"';
+  upstream.files = { ...FILES };
+  upstream.failures.clear();
+  requests.length = 0;
+});
+
+function countRequests(predicate) {
+  return requests.filter(predicate).length;
+}
+
+const isZip = url => url.endsWith('.zip');
+const isRaw = url => /^\/test\/repo\/[0-9a-f]{40}\//.test(url);
+
+test('skips the ZIP download when the commit SHA is unchanged', async () => {
+  const first = await fetcher.fetchRepository();
+  assert.deepStrictEqual(Object.keys(first.repoData.Google).sort(), ['30-days', 'all-time']);
+  assert.strictEqual(first.version.commitSha, upstream.sha);
+
+  const second = await fetcher.fetchRepository({ since: first.version });
+  assert.strictEqual(second.repoData, null);
+  assert.deepStrictEqual(second.version, first.version);
+  assert.strictEqual(countRequests(isZip), 1);
+});
+
+test('honours a 304 for an unchanged archive', async () => {
+  const first = await fetcher.fetchRepository();
+
+  // A new commit whose archive is byte-for-byte the same
+  upstream.sha = 'b'.repeat(40);
+  const second = await fetcher.fetchRepository({ since: first.version });
+
+  assert.strictEqual(second.repoData, null);
+  assert.strictEqual(second.version.commitSha, upstream.sha);
+  assert.strictEqual(second.version.etag, first.version.etag);
+  assert.strictEqual(countRequests(isZip), 2);
+});
+
+test('downloads the ZIP again for a version from another repo', async () => {
+  const first = await fetcher.fetchRepository();
+  const second = await fetcher.fetchRepository({ since: { ...first.version, repo: 'someone/else@main' } });
+
+  assert.notStrictEqual(second.repoData, null);
+  assert.strictEqual(countRequests(isZip), 2);
+});
+
+test('reuses cached blobs and only downloads changed files', async () => {
+  const first = await fetcher.fetchRepositoryViaAPI();
+  assert.strictEqual(first.repoData.Google['all-time'], FILES['Google/5. All.csv']);
+  assert.strictEqual(countRequests(isRaw), 2);
+
+  upstream.sha = 'c'.repeat(40);
+  upstream.files['Google/1. Thirty Days.csv'] = 'Title,Frequency\nTwo Sum,85\n';
+  requests.length = 0;
+
+  const second = await fetcher.fetchRepositoryViaAPI({ since: first.version });
+  assert.strictEqual(second.repoData.Google['30-days'], 'Title,Frequency\nTwo Sum,85\n');
+  assert.strictEqual(second.repoData.Google['all-time'], FILES['Google/5. All.csv']);
+  assert.deepStrictEqual(requests.filter(isRaw), [`/test/repo/${upstream.sha}/repo/Google/1. Thirty Days.csv`]);
+
+  const third = await fetcher.fetchRepositoryViaAPI({ since: second.version });
+  assert.strictEqual(third.repoData, null);
+});
+
+test('retries 5xx responses', async () => {
+  upstream.failures.set('/repos/test/repo/commits/main', 2);
+  upstream.failures.set('/test/repo/archive/refs/heads/main.zip', 1);
+
+  const result = await fetcher.fetchRepository();
+
+  assert.notStrictEqual(result.repoData, null);
+  assert.strictEqual(result.version.commitSha, upstream.sha);
+  assert.strictEqual(countRequests(url => url === '/repos/test/repo/commits/main'), 3);
+  assert.strictEqual(countRequests(isZip), 2);
+});
+
+test('gives up after the configured retries', async () => {
+  const rawPath = `/test/repo/${upstream.sha}/repo/Google/5. All.csv`;
+  upstream.failures.set(rawPath, fetcher.retries + 1);
+  await fs.promises.rm(fetcher.blobDir, { recursive: true, force: true });
+
+  const result = await fetcher.fetchRepositoryViaAPI();
+
+  // The file is left out and the commit unrecorded so the next run tries again
+  assert.deepStrictEqual(Object.keys(result.repoData.Google), ['30-days']);
+  assert.strictEqual(result.version.commitSha, null);
+  assert.strictEqual(countRequests(url => url === rawPath), fetcher.retries + 1);
+});
@@ -1,43 +1,99 @@
-const LOG_LEVELS = {
-    ERROR: 0,
-    WARN: 1,
-    INFO: 2,
-    DEBUG: 3
-  };
-  
-  class Logger {
-    constructor() {
-      this.level = LOG_LEVELS[process.env.LOG_LEVEL || 'INFO'];
-    }
-  
-    formatMessage(level, ...args) {
-      const timestamp = new Date().toISOString();
-      return `[${timestamp}] [${level}] ${args.join(' ')}`;
-    }
-  
-    error(...args) {
-      if (this.level >= LOG_LEVELS.ERROR) {
-        console.error(this.formatMessage('ERROR', ...args));
-      }
-    }
-  
-    warn(...args) {
-      if (this.level >= LOG_LEVELS.WARN) {
-        console.warn(this.formatMessage('WARN', ...args));
-      }
-    }
-  
-    info(...args) {
-      if (this.level >= LOG_LEVELS.INFO) {
-        console.log(this.formatMessage('INFO', ...args));
-      }
-    }
-  
-    debug(...args) {
-      if (this.level >= LOG_LEVELS.DEBUG) {
-        console.log(this.formatMessage('DEBUG', ...args));
-      }
-    }
-  }
-  
-  module.exports = new Logger();
\ No newline at end of file
+const winston = require('winston');
+const config = require('../config');
+
+const LOG_LEVELS = {
+    ERROR: 'error',
+    WARN: 'warn',
+    INFO: 'info',
+    DEBUG: 'debug'
+  };
+
+  // One JSON object per line; LOG_FORMAT=text keeps the old human-readable lines
+  const jsonFormat = winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  );
+
+  const textFormat = winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+      const extra = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+      return `[${timestamp}] [${level.toUpperCase()}] ${message}${extra}`;
+    })
+  );
+
+  class Logger {
+    constructor(winstonLogger = null) {
+      this.logger = winstonLogger || winston.createLogger({
+        level: LOG_LEVELS[config.logging.level],
+        format: config.logging.format === 'text' ? textFormat : jsonFormat,
+        transports: [
+          new winston.transports.Console({ stderrLevels: ['error', 'warn'] })
+        ]
+      });
+    }
+
+    /**
+     * Logger that adds `meta` (e.g. { requestId }) to every entry
+     */
+    child(meta) {
+      return new Logger(this.logger.child(meta));
+    }
+
+    /**
+     * Turn console-style arguments into a message plus structured fields.
+     * Strings and numbers form the message, an Error becomes an `error`
+     * field with its stack, plain objects are merged in as fields and
+     * arrays land under `details`.
+     */
+    buildEntry(args) {
+      const parts = [];
+      const meta = {};
+
+      for (const arg of args) {
+        if (arg instanceof Error) {
+          parts.push(arg.message);
+          meta.error = {
+            name: arg.name,
+            message: arg.message,
+            code: arg.code,
+            stack: arg.stack
+          };
+        } else if (Array.isArray(arg)) {
+          meta.details = arg;
+        } else if (arg !== null && typeof arg === 'object') {
+          Object.assign(meta, arg);
+        } else {
+          parts.push(String(arg));
+        }
+      }
+
+      return { message: parts.join(' '), meta };
+    }
+
+    log(level, args) {
+      if (!this.logger.isLevelEnabled(level)) {
+        return;
+      }
+      const { message, meta } = this.buildEntry(args);
+      this.logger.log(level, message, meta);
+    }
+
+    error(...args) {
+      this.log('error', args);
+    }
+
+    warn(...args) {
+      this.log('warn', args);
+    }
+
+    info(...args) {
+      this.log('info', args);
+    }
+
+    debug(...args) {
+      this.log('debug', args);
+    }
+  }
+
+  module.exports = new Logger();